@@ -0,0 +1,85 @@
+'use strict';
+
+const zlib = require('zlib');
+const decoders = require('./decoders');
+const encoders = require('./encoders');
+
+/**
+ * Separates stages in a composed codec name, e.g., `json|gzip|base64`
+ * @type {string}
+ */
+const PIPE = '|';
+
+/**
+ * Registered codecs by name
+ * @type {Map<string,{encode: Function, decode: Function}>}
+ * @private
+ */
+const codecs = new Map();
+
+/**
+ * Registers a named codec for use in `encoder` and `decoder` options (and
+ * as a stage of a composed codec).
+ * @param {string} name - Name; must be unique and must not contain `|`
+ * @param {Object} codec - Codec
+ * @param {Function} codec.encode - Encoder
+ * @param {Function} codec.decode - Decoder; should be the inverse of `encode`
+ */
+const registerCodec = (name, {encode, decode} = {}) => {
+  if (typeof name !== 'string' || !name || name.includes(PIPE)) {
+    throw new TypeError(`codec name must be a string without "${PIPE}"`);
+  }
+  if (codecs.has(name)) {
+    throw new Error(`codec "${name}" already registered`);
+  }
+  if (typeof encode !== 'function' || typeof decode !== 'function') {
+    throw new TypeError(`codec "${name}" must have encode() and decode()`);
+  }
+  codecs.set(name, {encode, decode});
+};
+
+/**
+ * Returns `true` if a codec named `name` is registered.
+ * @param {string} name - Codec name (not composed)
+ * @returns {boolean}
+ */
+const hasCodec = name => codecs.has(name);
+
+/**
+ * Resolves a codec name to an encoder or decoder.
+ * Names of registered codecs may be composed with `|`; the stages are applied
+ * left-to-right when encoding and right-to-left when decoding.
+ * @param {string} spec - Codec name, or names separated by `|`
+ * @param {string} direction - `encode` or `decode`
+ * @returns {Function} Encoder or decoder
+ */
+const resolveCodec = (spec, direction) => {
+  const stages = spec.split(PIPE).map(name => {
+    const codec = codecs.get(name.trim());
+    if (!codec) {
+      throw new ReferenceError(`unknown codec "${name.trim()}"`);
+    }
+    return codec[direction];
+  });
+  if (stages.length === 1) {
+    return stages[0];
+  }
+  if (direction === 'decode') {
+    stages.reverse();
+  }
+  const composed = value => stages.reduce((acc, stage) => stage(acc), value);
+  return Object.defineProperty(composed, 'name', {value: spec});
+};
+
+Object.keys(encoders).forEach(name => {
+  registerCodec(name, {encode: encoders[name], decode: decoders[name]});
+});
+
+registerCodec('gzip', {
+  encode: value => zlib.gzipSync(Buffer.from(value)),
+  decode: value => zlib.gunzipSync(Buffer.from(value))
+});
+
+exports.hasCodec = hasCodec;
+exports.registerCodec = registerCodec;
+exports.resolveCodec = resolveCodec;
@@ -1,6 +1,8 @@
 'use strict';
 
-const atob = str => Buffer.from(str, 'base64').toString('binary');
+const zlib = require('zlib');
+const msgpackLite = require('msgpack-lite');
+const cborLib = require('cbor');
 
 /**
  * JSON decoder
@@ -10,11 +12,11 @@ const atob = str => Buffer.from(str, 'base64').toString('binary');
 const json = value => JSON.parse(value.toString('utf-8'));
 
 /**
- * Base64 decoder
- * @param {Buffer} value - Value to decode
- * @returns {string} base64-encoded string
+ * Base64 decoder; the inverse of the base64 encoder
+ * @param {Buffer} value - base64-encoded value to decode
+ * @returns {Buffer} Decoded bytes
  */
-const base64 = value => atob(value.toString('utf-8'));
+const base64 = value => Buffer.from(value.toString('utf-8'), 'base64');
 
 /**
  * Text decoder
@@ -30,7 +32,55 @@ const text = value => value.toString('utf-8');
  */
 const binary = value => value;
 
+/**
+ * MessagePack decoder
+ * @param {Buffer} value - Value to decode
+ * @returns {*} Decoded value
+ */
+const msgpack = value => msgpackLite.decode(value);
+
+/**
+ * CBOR decoder
+ * @param {Buffer} value - Value to decode
+ * @returns {*} Decoded (first) value
+ */
+const cbor = value => cborLib.decodeFirstSync(value);
+
+/**
+ * Gzipped JSON decoder
+ * @param {Buffer} value - Value to decode
+ * @returns {*} JSON representation of gunzipped value
+ */
+const jsonGzip = value => JSON.parse(zlib.gunzipSync(value).toString('utf-8'));
+
+/**
+ * Number decoder
+ * @param {Buffer} value - 64-bit big-endian float
+ * @returns {number} Decoded value
+ */
+const number = value => value.readDoubleBE(0);
+
+/**
+ * 32-bit float decoder
+ * @param {Buffer} value - 32-bit big-endian float
+ * @returns {number} Decoded value
+ */
+const float32 = value => value.readFloatBE(0);
+
+/**
+ * 32-bit signed integer decoder
+ * @param {Buffer} value - 32-bit big-endian signed integer
+ * @returns {number} Decoded value
+ */
+const int32 = value => value.readInt32BE(0);
+
 exports.json = json;
 exports.base64 = base64;
 exports.text = text;
 exports.binary = binary;
+exports.msgpack = msgpack;
+exports.cbor = cbor;
+exports['json+gzip'] = jsonGzip;
+exports.number = number;
+exports.float32 = float32;
+exports.int32 = int32;
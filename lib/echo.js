@@ -0,0 +1,140 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Default milliseconds a published message is remembered
+ * @type {number}
+ */
+const DEFAULT_TTL = 30000;
+
+/**
+ * Default max messages remembered
+ * @type {number}
+ */
+const DEFAULT_MAX_SIZE = 1000;
+
+/**
+ * Fingerprints a message by its topic and payload.
+ * @param {string} topic - MQTT topic
+ * @param {string|Buffer} payload - Encoded payload
+ * @returns {string} Fingerprint
+ */
+const fingerprint = (topic, payload) =>
+  crypto
+    .createHash('sha1')
+    .update(topic)
+    .update('\0')
+    .update(payload)
+    .digest('base64');
+
+/**
+ * Remembers the messages a client publishes, so it can tell when the broker
+ * sends them back.
+ * MQTT 3.1.1 can't tell the broker not to; a received message is taken for
+ * an echo if the client published the same payload to the same topic within
+ * `ttl` ms, so another client's identical message may be mistaken for one.
+ * @private
+ */
+class EchoFilter {
+  /**
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.ttl=30000] - Milliseconds to remember a message
+   * @param {number} [opts.maxSize=1000] - Max messages remembered; the
+   *   oldest are forgotten first
+   */
+  constructor({ttl = DEFAULT_TTL, maxSize = DEFAULT_MAX_SIZE} = {}) {
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    /**
+     * Number of listeners which want echoes dropped; until there are any,
+     * only messages delivered locally are remembered
+     * @type {number}
+     */
+    this.listeners = 0;
+    /**
+     * Published messages by fingerprint, oldest first
+     * @type {Map<string,Array<{expires: number, delivered: boolean}>>}
+     */
+    this.published = new Map();
+    this.size = 0;
+  }
+
+  /**
+   * Remembers a published message, if anyone cares.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {boolean} [delivered=false] - `true` if the message was already
+   *   delivered locally, so its echo should be dropped altogether
+   */
+  record(topic, payload, delivered = false) {
+    if (!delivered && !this.listeners) {
+      return;
+    }
+    this.prune();
+    if (this.size >= this.maxSize) {
+      this.evict();
+    }
+    const key = fingerprint(topic, payload);
+    const entries = this.published.get(key) || [];
+    entries.push({expires: Date.now() + this.ttl, delivered});
+    this.published.set(key, entries);
+    this.size++;
+  }
+
+  /**
+   * Forgets a published message if a received message is its echo.
+   * @param {string} topic - Topic of received message
+   * @param {Buffer} payload - Payload of received message
+   * @returns {{delivered: boolean}|void} What was remembered, if the message
+   *   is an echo
+   */
+  take(topic, payload) {
+    if (!this.size) {
+      return;
+    }
+    this.prune();
+    const key = fingerprint(topic, payload);
+    const entries = this.published.get(key);
+    if (!entries) {
+      return;
+    }
+    const entry = entries.shift();
+    if (!entries.length) {
+      this.published.delete(key);
+    }
+    this.size--;
+    return entry;
+  }
+
+  /**
+   * Forgets the oldest message.
+   */
+  evict() {
+    const [key, entries] = this.published.entries().next().value;
+    entries.shift();
+    if (!entries.length) {
+      this.published.delete(key);
+    }
+    this.size--;
+  }
+
+  /**
+   * Forgets expired messages.
+   */
+  prune() {
+    const now = Date.now();
+    this.published.forEach((entries, key) => {
+      while (entries.length && entries[0].expires <= now) {
+        entries.shift();
+        this.size--;
+      }
+      if (!entries.length) {
+        this.published.delete(key);
+      }
+    });
+  }
+}
+
+exports.fingerprint = fingerprint;
+exports.EchoFilter = EchoFilter;
@@ -1,5 +1,9 @@
 'use strict';
 
+const zlib = require('zlib');
+const msgpackLite = require('msgpack-lite');
+const cborLib = require('cbor');
+
 const btoa = buf => Buffer.from(buf).toString('base64');
 
 /**
@@ -30,7 +34,67 @@ const text = String;
  */
 const binary = value => Buffer.from(value);
 
+/**
+ * MessagePack encoder
+ * @param {*} value - Value to encode
+ * @returns {Buffer} MessagePack representation of value
+ */
+const msgpack = value => msgpackLite.encode(value);
+
+/**
+ * CBOR encoder
+ * @param {*} value - Value to encode
+ * @returns {Buffer} CBOR representation of value
+ */
+const cbor = value => cborLib.encode(value);
+
+/**
+ * Gzipped JSON encoder
+ * @param {*} value - Value to encode
+ * @returns {Buffer} Gzipped JSON representation of value
+ */
+const jsonGzip = value => zlib.gzipSync(JSON.stringify(value));
+
+/**
+ * Number encoder
+ * @param {number} value - Value to encode
+ * @returns {Buffer} 64-bit big-endian float
+ */
+const number = value => {
+  const buf = Buffer.alloc(8);
+  buf.writeDoubleBE(Number(value), 0);
+  return buf;
+};
+
+/**
+ * 32-bit float encoder
+ * @param {number} value - Value to encode
+ * @returns {Buffer} 32-bit big-endian float
+ */
+const float32 = value => {
+  const buf = Buffer.alloc(4);
+  buf.writeFloatBE(Number(value), 0);
+  return buf;
+};
+
+/**
+ * 32-bit signed integer encoder
+ * @param {number} value - Value to encode
+ * @returns {Buffer} 32-bit big-endian signed integer
+ */
+const int32 = value => {
+  const buf = Buffer.alloc(4);
+  buf.writeInt32BE(Number(value), 0);
+  return buf;
+};
+
 exports.json = json;
 exports.base64 = base64;
 exports.text = text;
 exports.binary = binary;
+exports.msgpack = msgpack;
+exports.cbor = cbor;
+exports['json+gzip'] = jsonGzip;
+exports.number = number;
+exports.float32 = float32;
+exports.int32 = int32;
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Names of CONNACK return codes (MQTT 3.1.1) and reason codes (MQTT 5)
+ * indicating refusal.
+ * @type {Object<number,string>}
+ */
+const CONNACK_REASONS = {
+  1: 'Unacceptable protocol version',
+  2: 'Identifier rejected',
+  3: 'Server unavailable',
+  4: 'Bad username or password',
+  5: 'Not authorized',
+  0x80: 'Unspecified error',
+  0x81: 'Malformed Packet',
+  0x82: 'Protocol Error',
+  0x83: 'Implementation specific error',
+  0x84: 'Unsupported Protocol Version',
+  0x85: 'Client Identifier not valid',
+  0x86: 'Bad User Name or Password',
+  0x87: 'Not authorized',
+  0x88: 'Server unavailable',
+  0x89: 'Server busy',
+  0x8a: 'Banned',
+  0x8c: 'Bad authentication method',
+  0x90: 'Topic Name invalid',
+  0x95: 'Packet too large',
+  0x97: 'Quota exceeded',
+  0x99: 'Payload format invalid',
+  0x9a: 'Retain not supported',
+  0x9b: 'QoS not supported',
+  0x9c: 'Use another server',
+  0x9d: 'Server moved',
+  0x9f: 'Connection rate exceeded'
+};
+
+/**
+ * Base class of errors mqttletoad creates.  Each subclass has a stable
+ * `code`, so callers needn't match messages.
+ */
+class MqttletoadError extends Error {
+  /**
+   * @param {string} message - Message
+   * @param {string} code - Stable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when the broker refuses a connection, per its CONNACK.
+ */
+class ConnectionRefusedError extends MqttletoadError {
+  /**
+   * @param {number} returnCode - CONNACK return code (MQTT 3.1.1) or reason
+   *   code (MQTT 5)
+   */
+  constructor(returnCode) {
+    const reason = CONNACK_REASONS[returnCode] || 'Unknown';
+    super(`broker refused connection: ${reason}`, 'EREFUSED');
+    this.returnCode = returnCode;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when no CONNACK arrives within `connectTimeout`.
+ */
+class ConnectTimeoutError extends MqttletoadError {
+  /**
+   * @param {number} timeout - Milliseconds waited
+   */
+  constructor(timeout) {
+    super(`no CONNACK after ${timeout}ms`, 'ETIMEDOUT');
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when waiting on a client which has been closed via `end()`.
+ */
+class ClientClosedError extends MqttletoadError {
+  constructor() {
+    super('client closed', 'ECLOSED');
+  }
+}
+
+/**
+ * Thrown when a SUBACK grants failure for a topic filter.
+ */
+class SubscriptionRejectedError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic filter
+   * @param {number} reasonCode - SUBACK return/reason code (`0x80` or above)
+   * @param {string} reason - Name of `reasonCode`
+   */
+  constructor(topic, reasonCode, reason) {
+    super(
+      `broker rejected subscription to "${topic}": ${reason}`,
+      'ESUBREJECTED'
+    );
+    this.topic = topic;
+    this.reasonCode = reasonCode;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when an UNSUBACK reports failure for a topic filter (MQTT 5 only).
+ */
+class UnsubscriptionRejectedError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic filter
+   * @param {number} reasonCode - UNSUBACK reason code (`0x80` or above)
+   * @param {string} reason - Name of `reasonCode`
+   */
+  constructor(topic, reasonCode, reason) {
+    super(
+      `broker refused to unsubscribe from "${topic}": ${reason}`,
+      'EUNSUBREJECTED'
+    );
+    this.topic = topic;
+    this.reasonCode = reasonCode;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when a publish isn't done within its `timeout`.  The message may
+ * still be delivered.
+ */
+class PublishTimeoutError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic
+   * @param {number} timeout - Milliseconds waited
+   */
+  constructor(topic, timeout) {
+    super(`publish to "${topic}" timed out after ${timeout}ms`, 'ETIMEDOUT');
+    this.topic = topic;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when a publish queued while offline is discarded before it's
+ * published.
+ */
+class PublishEvictedError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic
+   * @param {string} reason - `overflow` (the queue was full) or `expired`
+   */
+  constructor(topic, reason) {
+    super(
+      reason === 'expired'
+        ? `queued message to "${topic}" expired`
+        : `queued message to "${topic}" dropped; queue full`,
+      'EEVICTED'
+    );
+    this.topic = topic;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when no response to a `request()` arrives within its `timeout`.
+ */
+class RequestTimeoutError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic of request
+   * @param {number} timeout - Milliseconds waited
+   */
+  constructor(topic, timeout) {
+    super(`request to "${topic}" timed out after ${timeout}ms`, 'ETIMEDOUT');
+    this.topic = topic;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when no matching message arrives within the `timeout` of
+ * `waitFor()`.
+ */
+class WaitTimeoutError extends MqttletoadError {
+  /**
+   * @param {string} topic - MQTT topic filter or pattern waited on
+   * @param {number} timeout - Milliseconds waited
+   */
+  constructor(topic, timeout) {
+    super(`no matching message on "${topic}" after ${timeout}ms`, 'ETIMEDOUT');
+    this.topic = topic;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Thrown when an encoder or decoder fails.
+ */
+class CodecError extends MqttletoadError {
+  /**
+   * @param {Object} info - What failed
+   * @param {string} info.direction - `encode` or `decode`
+   * @param {string} info.codec - Name of encoder/decoder function
+   * @param {string} info.topic - MQTT topic of message
+   * @param {Error} info.cause - Error thrown by the encoder/decoder
+   */
+  constructor({direction, codec, topic, cause}) {
+    super(
+      `failed to ${direction} message on "${topic}" w/ ${codec}: ${cause &&
+        cause.message}`,
+      'ECODEC'
+    );
+    this.direction = direction;
+    this.codec = codec;
+    this.topic = topic;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when a message does not conform to its schema.
+ */
+class ValidationError extends MqttletoadError {
+  /**
+   * @param {SchemaViolation[]} errors - Violations
+   * @param {string} [topic] - Topic of offending message
+   */
+  constructor(errors, topic) {
+    super(
+      `message${topic ? ` on "${topic}"` : ''} failed validation: ${errors
+        .map(({path, message}) => `${path || '(root)'} ${message}`)
+        .join('; ')}`,
+      'EVALIDATION'
+    );
+    this.errors = errors;
+    this.topic = topic;
+  }
+}
+
+/**
+ * Thrown when a method is called w/ an argument of the wrong type.  A
+ * `TypeError`, so not a `MqttletoadError`.
+ */
+class InvalidArgumentError extends TypeError {
+  /**
+   * @param {string} name - Name of argument
+   * @param {string} expected - What it should have been
+   */
+  constructor(name, expected) {
+    super(`invalid ${name}; expected ${expected}`);
+    this.name = 'InvalidArgumentError';
+    this.code = 'EINVALIDARG';
+    this.argument = name;
+  }
+}
+
+/**
+ * Thrown when a topic filter or topic name isn't valid per the MQTT spec.
+ */
+class InvalidTopicError extends InvalidArgumentError {
+  /**
+   * @param {string} topic - Offending topic filter or name
+   * @param {string} reason - What's wrong w/ it
+   * @param {string} [kind='topic filter'] - `topic filter` or `topic name`
+   */
+  constructor(topic, reason, kind = 'topic filter') {
+    super('topic', `a valid ${kind}`);
+    this.name = 'InvalidTopicError';
+    this.message = `invalid ${kind} "${topic}": ${reason}`;
+    this.topic = topic;
+    this.reason = reason;
+  }
+}
+
+exports.CONNACK_REASONS = CONNACK_REASONS;
+exports.MqttletoadError = MqttletoadError;
+exports.ConnectionRefusedError = ConnectionRefusedError;
+exports.ConnectTimeoutError = ConnectTimeoutError;
+exports.ClientClosedError = ClientClosedError;
+exports.SubscriptionRejectedError = SubscriptionRejectedError;
+exports.UnsubscriptionRejectedError = UnsubscriptionRejectedError;
+exports.PublishTimeoutError = PublishTimeoutError;
+exports.PublishEvictedError = PublishEvictedError;
+exports.RequestTimeoutError = RequestTimeoutError;
+exports.WaitTimeoutError = WaitTimeoutError;
+exports.CodecError = CodecError;
+exports.ValidationError = ValidationError;
+exports.InvalidArgumentError = InvalidArgumentError;
+exports.InvalidTopicError = InvalidTopicError;
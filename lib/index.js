@@ -3,13 +3,78 @@
 const MQTT = require('mqtt');
 const promisify = require('promwrap');
 const net = require('net');
-const {EventEmitter2} = require('eventemitter2');
 const decoders = require('./decoders');
 const encoders = require('./encoders');
+const {SubscriptionRegistry} = require('./registry');
+const {hasCodec, registerCodec, resolveCodec} = require('./codecs');
+const {
+  matches,
+  extractParams,
+  parseShared,
+  parseSubscription,
+  validateFilter,
+  validateTopic
+} = require('./topic');
+const {TopicMatcher} = require('./matcher');
+const {Context, Router} = require('./router');
+const {Requester, respond} = require('./rpc');
+const {validate} = require('./schema');
+const {
+  CodecError,
+  ClientClosedError,
+  ConnectTimeoutError,
+  ConnectionRefusedError,
+  InvalidArgumentError,
+  InvalidTopicError,
+  MqttletoadError,
+  PublishEvictedError,
+  PublishTimeoutError,
+  RequestTimeoutError,
+  SubscriptionRejectedError,
+  UnsubscriptionRejectedError,
+  ValidationError,
+  WaitTimeoutError
+} = require('./errors');
+const {
+  MessageIterator,
+  createReadStream,
+  createWriteStream
+} = require('./streams');
+const {waitFor} = require('./wait');
+const {getRetained, RetainedCache} = require('./retained');
+const {
+  establish,
+  normalizeRetry,
+  trackState,
+  whenConnected
+} = require('./lifecycle');
+const {FileStore, PublishQueue} = require('./queue');
+const {EchoFilter} = require('./echo');
+const {Scope} = require('./scope');
+const {
+  PUBLISHED,
+  createPolicy,
+  pickPolicy,
+  resolvePolicyMap
+} = require('./policy');
+const {
+  FAILURE,
+  TopicAliases,
+  UnsubackTracker,
+  codecForContentType,
+  describeSuback
+} = require('./mqtt5');
 
-const DEFAULT_OPTS = {decoder: decoders.text, encoder: encoders.text};
+const DEFAULT_OPTS = {
+  decoder: decoders.text,
+  encoder: encoders.text,
+  validator: validate,
+  onDecodeError: 'skip'
+};
+
+const DECODE_ERROR_POLICIES = ['skip', 'raw', 'throw'];
 
-const eventify = topic => topic.replace(/#/g, '**').replace(/\+/g, '*');
+const LOCAL_DELIVERY_MODES = [false, true, 'only'];
 
 const asyncMethodNames = ['publish', 'subscribe', 'unsubscribe', 'end'];
 
@@ -22,99 +87,882 @@ const asyncMethodNames = ['publish', 'subscribe', 'unsubscribe', 'end'];
  * @param {string|Function} [baseOpts.decoder='text'] - Default decoder to use
  *   on received messages (one of `json`, `text`, or `base64`) or a custom
  *   decoder
+ * @param {Object<string,string|Object>} [baseOpts.codecs] - Maps MQTT topic
+ *   filters to codec names, or to `{encoder, decoder}` objects; the first
+ *   filter matching a topic determines its default encoder/decoder
+ * @param {boolean} [baseOpts.resubscribe=true] - Restore subscriptions upon
+ *   reconnecting to a clean session, emitting `resubscribed` w/ the results;
+ *   if patching a client yourself, create it w/ MQTT.js' own `resubscribe`
+ *   option set to `false`
+ * @param {boolean} [baseOpts.topicAliases=true] - Assign outbound topic
+ *   aliases, if connected w/ MQTT 5 and the broker allows them
+ * @param {Object} [baseOpts.birth] - Message published upon every
+ *   connection: `{topic, payload, qos, retain, properties}`; `payload` is
+ *   encoded by `encoder` (defaulting as in `publish()`) and may be checked
+ *   against `schema`
+ * @param {Object<string,Object>} [baseOpts.policies] - Maps MQTT topic
+ *   filters to outbound policies, e.g., `{'sensors/#': {throttle: 1000}}`;
+ *   the first filter matching a topic applies, unless `publish()` is given
+ *   a policy (see `publish()`)
+ * @param {boolean|Object} [baseOpts.queue] - Queue publishes made while
+ *   offline and replay them once connected; `true`, or options `maxSize`
+ *   (default `1000`), `maxAge` (ms), `overflow` (`drop-oldest` or
+ *   `drop-newest`) and `store` (a `Store`, e.g. a `FileStore`)
  * @returns {MqttClient} Patched client
  */
 const toadpatch = (client, baseOpts = {}) => {
+  baseOpts = normalizeOptions(baseOpts);
   const asyncMethods = asyncMethodNames.reduce(
     (acc, name) => Object.assign(acc, {[name]: promisify(client[name])}),
     {}
   );
 
   /**
-   * Adapter between MQTT topics (supporting wildcards) and the client events.
-   * @type {EventEmitter2}
+   * Listener wrappers by the topic filter they route by.
+   * @type {TopicMatcher}
    * @private
    */
-  client.toad = new EventEmitter2({
-    wildcard: true,
-    delimiter: '/'
-  });
+  client.matcher = new TopicMatcher();
+
+  /**
+   * Reference-counted record of subscribed topic filters, their granted QoS,
+   * and their listeners.
+   * @type {SubscriptionRegistry}
+   * @private
+   */
+  client.registry = new SubscriptionRegistry();
+
+  /**
+   * Middleware run on received messages before any listeners.
+   * @type {Router}
+   * @private
+   */
+  client.router = new Router();
+
+  // `connect()` tracks `client.state` from the start; see `trackState()`
+  if (!('state' in client)) {
+    trackState(client);
+  }
+
+  /**
+   * Outbound topic aliases (MQTT 5 only).
+   * @type {TopicAliases}
+   * @private
+   */
+  client.topicAliases = new TopicAliases(client);
+
+  /**
+   * Reason codes of UNSUBACKs.
+   * @type {UnsubackTracker}
+   * @private
+   */
+  client.unsubacks = new UnsubackTracker(client);
+
+  /**
+   * Recently published messages, to recognize their echoes.
+   * @type {EchoFilter}
+   * @private
+   */
+  client.echoes = new EchoFilter();
+
+  /**
+   * Picks the decoder for a received message when the listener didn't ask
+   * for one: by its `contentType` property (MQTT 5), else by its topic (see
+   * `codecs` option), else the default.
+   * @param {string} topic - Topic of message
+   * @param {Object} packet - Received PUBLISH packet
+   * @returns {Function} Decoder
+   */
+  const defaultDecoder = (topic, packet) => {
+    const codec = codecForContentType(packet, hasCodec);
+    return codec
+      ? resolveCodec(codec, 'decode')
+      : codecsFor(baseOpts.codecs, topic).decoder || baseOpts.decoder;
+  };
+
+  /**
+   * Encodes and decodes payloads as `publish()` and `subscribe()` would,
+   * w/o publishing or subscribing; `request()` and `respond()` carry the
+   * results in envelopes.  Only a `schema` given in `opts` applies; that of
+   * `connect()` doesn't.
+   * @type {{encode: Function, decode: Function}}
+   */
+  const payloadCodec = {
+    /**
+     * @param {string} topic - MQTT topic
+     * @param {*} message - Message
+     * @param {Object} [opts] - Options w/ any `encoder`, `schema` and
+     *   `validator`
+     * @returns {string|Buffer} Encoded payload
+     * @throws {CodecError|ValidationError}
+     */
+    encode(topic, message, opts = {}) {
+      const {encoder, validator} = normalizeOptions(
+        pickOpts(opts, ['encoder', 'validator']),
+        Object.assign({}, baseOpts, codecsFor(baseOpts.codecs, topic))
+      );
+      const errors = checkSchema({schema: opts.schema, validator}, message);
+      if (errors.length) {
+        throw new ValidationError(errors, topic);
+      }
+      return applyCodec(encoder, 'encode', topic, message);
+    },
+    /**
+     * @param {string} topic - MQTT topic
+     * @param {Buffer} payload - Raw payload
+     * @param {Object} packet - Received PUBLISH packet
+     * @param {Object} [opts] - Options w/ any `decoder`, `schema` and
+     *   `validator`
+     * @returns {*} Decoded message
+     * @throws {CodecError|ValidationError}
+     */
+    decode(topic, payload, packet, opts = {}) {
+      const {
+        decoder = defaultDecoder(topic, packet),
+        validator
+      } = Object.assign(
+        {validator: baseOpts.validator},
+        normalizeOptions(pickOpts(opts, ['decoder', 'validator']), {})
+      );
+      const message = applyCodec(decoder, 'decode', topic, payload);
+      const errors = checkSchema({schema: opts.schema, validator}, message);
+      if (errors.length) {
+        throw new ValidationError(errors, topic);
+      }
+      return message;
+    }
+  };
+
+  /**
+   * Outstanding requests made via `request()`.
+   * @type {Requester}
+   * @private
+   */
+  client.requester = new Requester(client, payloadCodec);
+
+  /**
+   * Runs the middleware on a received message, then calls the wrappers of
+   * the listeners whose topic filters match.
+   * Errors thrown by middleware, or by a wrapper (e.g., w/ `onDecodeError`
+   * `throw`), are emitted as `error` events; a wrapper which throws doesn't
+   * keep the message from the others.
+   * @param {string} topic - Topic of message
+   * @param {Buffer} payload - Raw payload
+   * @param {Object} packet - PUBLISH packet
+   * @param {boolean} echo - `true` if this client published the message
+   */
+  const dispatch = (topic, payload, packet, echo) => {
+    const ctx = new Context({
+      topic,
+      payload,
+      packet,
+      decoder: defaultDecoder(topic, packet),
+      echo
+    });
+    client.router
+      .handle(ctx, () => {
+        client.matcher.match(ctx.topic).forEach(wrapper => {
+          try {
+            wrapper(ctx.payload, ctx.packet, ctx);
+          } catch (err) {
+            client.emit('error', err);
+          }
+        });
+      })
+      .catch(err => {
+        client.emit('error', err);
+      });
+  };
+
+  /**
+   * Delivers a message this client publishes to its own matching listeners,
+   * as if received.  The packet has no `messageId`, and `local` set.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {Object} opts - Publish options
+   */
+  const deliverLocally = (topic, payload, opts) => {
+    payload = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    dispatch(
+      topic,
+      payload,
+      {
+        cmd: 'publish',
+        topic,
+        payload,
+        qos: opts.qos || 0,
+        retain: Boolean(opts.retain),
+        dup: false,
+        properties: opts.properties,
+        local: true
+      },
+      true
+    );
+  };
+
+  /**
+   * Outbound policies of the `policies` option
+   * @type {Array<{filter: string, policy: Policy}>}
+   */
+  const policyMap = resolvePolicyMap(baseOpts.policies || {});
+
+  /**
+   * Outbound policies given to `publish()`, by name and value, so calls w/
+   * the same policy share its state
+   * @type {Map<string,Policy>}
+   */
+  const callPolicies = new Map();
+
+  /**
+   * Finds the outbound policy for a publish.
+   * @param {string} topic - MQTT topic
+   * @param {Object} opts - Options given to `publish()`
+   * @returns {Policy|null} Policy, if any
+   */
+  const policyFor = (topic, opts) => {
+    const spec = pickPolicy(opts);
+    if (spec) {
+      const key = `${spec.name}:${JSON.stringify(spec.value)}`;
+      if (!callPolicies.has(key)) {
+        callPolicies.set(key, createPolicy(spec));
+      }
+      return callPolicies.get(key);
+    }
+    if (opts.policies === false) {
+      return null;
+    }
+    const entry = policyMap.find(({filter}) => matches(filter, topic));
+    return entry ? entry.policy : null;
+  };
+
+  /**
+   * `true` if the broker will send a message published to `topic` back to
+   * this client: a subscription matches it, and wasn't made w/ "No Local".
+   * @param {string} topic - MQTT topic
+   * @returns {boolean}
+   */
+  const expectsEcho = topic =>
+    Array.from(client.registry).some(
+      ({topic: brokerFilter, requestedQos, noLocal}) =>
+        requestedQos >= 0 &&
+        !noLocal &&
+        matches(parseShared(brokerFilter).filter, topic)
+    );
+
+  /**
+   * Remembers a message about to be published, to recognize its echo; if
+   * none will come, there's nothing to recognize.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {Object} opts - `MqttClient#publish()` options
+   */
+  const expectEcho = (topic, payload, opts) => {
+    const delivered = Boolean(opts.localDelivery);
+    // skip matching subscriptions if the echo filter wouldn't care anyway
+    if ((delivered || client.echoes.listeners) && expectsEcho(topic)) {
+      client.echoes.record(topic, payload, delivered);
+    }
+  };
+
+  /**
+   * Publishes an encoded payload now, remembering it to recognize its echo.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {Object} opts - `MqttClient#publish()` options
+   * @returns {Promise<void>}
+   */
+  const transmit = (topic, payload, opts) => {
+    expectEcho(topic, payload, opts);
+    return asyncMethods.publish.call(
+      client,
+      topic,
+      payload,
+      pickOpts(opts, PACKET_OPTS)
+    );
+  };
+
+  /**
+   * Publishes made while offline, replayed once connected; only present if
+   * the `queue` option was given.
+   * @type {PublishQueue|null}
+   * @private
+   */
+  client.publishQueue = baseOpts.queue
+    ? new PublishQueue(
+        client,
+        transmit,
+        baseOpts.queue === true ? {} : baseOpts.queue
+      )
+    : null;
+
+  /**
+   * Publishes an encoded payload now, applying a topic alias if possible.
+   * While offline, MQTT.js holds on to publishes and sends them upon the next
+   * connection, where today's aliases mean nothing; they aren't aliased.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {Object} opts - `MqttClient#publish()` options
+   * @returns {Promise<void>}
+   */
+  const send = (topic, payload, opts) => {
+    if (
+      client.connected &&
+      client.options.protocolVersion === 5 &&
+      baseOpts.topicAliases !== false
+    ) {
+      const aliased = client.topicAliases.apply(
+        topic,
+        opts.properties,
+        opts.qos
+      );
+      expectEcho(topic, payload, opts);
+      return asyncMethods.publish.call(
+        client,
+        aliased.topic,
+        payload,
+        Object.assign(pickOpts(opts, PACKET_OPTS), {
+          properties: aliased.properties
+        })
+      );
+    }
+    return transmit(topic, payload, opts);
+  };
+
+  /**
+   * Encoded `birth` message, if any
+   * @type {Object|null}
+   */
+  const birth = baseOpts.birth ? encodeMessage(baseOpts.birth, baseOpts) : null;
+
+  /**
+   * Publishes the `birth` message, if any, ahead of any queued publishes.
+   * Errors are emitted by the client.
+   */
+  const sendBirth = () => {
+    if (birth) {
+      const {topic, payload} = birth;
+      send(topic, payload, pickOpts(birth, MESSAGE_OPTS)).catch(err => {
+        client.emit('error', err);
+      });
+    }
+  };
+
+  /**
+   * Registers a listener for a topic, without subscribing at the broker.
+   * @param {string} topic - MQTT topic filter or pattern, as for
+   *   `subscribe()`
+   * @param {Function} listener - Listener function
+   * @param {Object} opts - Options, as for `subscribe()`
+   * @returns {{brokerFilter: string, subscription: Subscription,
+   *   record: ListenerRecord, detach: Function}} What was registered;
+   *   `detach()` undoes it
+   */
+  const attachListener = (topic, listener, opts) => {
+    const {topic: brokerFilter, filter, params} = parseSubscription(topic);
+    validateFilter(filter);
+    const policySpec = pickPolicy(opts);
+    const policy = policySpec ? createPolicy(policySpec) : null;
+    const explicitDecoder = 'decoder' in opts;
+    opts = normalizeOptions(
+      opts,
+      Object.assign({}, baseOpts, codecsFor(baseOpts.codecs, filter))
+    );
+    const {matcher, registry} = client;
+    const subscription = registry.acquire(brokerFilter);
+    const record = subscription.addListener(listener, {
+      decoder: opts.decoder,
+      qos: opts.qos || 0,
+      noEcho: Boolean(opts.noEcho),
+      policy,
+      wrapper: (payload, packet, ctx) => {
+        if (opts.noEcho && ctx && ctx.echo) {
+          return;
+        }
+        const topic = ctx ? ctx.topic : packet.topic;
+        const decoder = explicitDecoder
+          ? opts.decoder
+          : defaultDecoder(topic, packet);
+        let message;
+        if (ctx && ctx.messageAssigned) {
+          message = ctx.message;
+        } else {
+          try {
+            message = decoder(payload);
+          } catch (cause) {
+            const err = new CodecError({
+              direction: 'decode',
+              codec: decoder.name || 'anonymous',
+              topic,
+              cause
+            });
+            client.emit('decode-error', {
+              topic,
+              payload,
+              packet,
+              decoder: err.codec,
+              error: err
+            });
+            if (opts.onDecodeError === 'throw') {
+              throw err;
+            }
+            if (opts.onDecodeError !== 'raw') {
+              return;
+            }
+            message = payload;
+          }
+        }
+        const errors = checkSchema(opts, message);
+        if (errors.length) {
+          client.emit('invalid-message', {topic, message, packet, errors});
+          return;
+        }
+        const deliver = () => {
+          const result = listener(
+            message,
+            packet,
+            extractParams(params, topic)
+          );
+          if (result && typeof result.then === 'function') {
+            result.then(null, err => {
+              client.emit('listener-error', {
+                topic,
+                message,
+                packet,
+                error: err
+              });
+            });
+          }
+        };
+        if (policy) {
+          policy.submit(topic, deliver).catch(err => {
+            client.emit('error', err);
+          });
+        } else {
+          deliver();
+        }
+      }
+    });
+
+    matcher.add(filter, record.wrapper);
+    if (record.noEcho) {
+      client.echoes.listeners++;
+    }
+
+    return {
+      brokerFilter,
+      subscription,
+      record,
+      detach() {
+        matcher.remove(filter, record.wrapper);
+        if (subscription.removeRecord(record)) {
+          forgetRecord(record);
+        }
+        registry.release(brokerFilter);
+      }
+    };
+  };
+
+  /**
+   * Cleans up after a listener removed from its `Subscription`: it no longer
+   * wants echoes dropped, and messages its policy holds back are dropped.
+   * @param {ListenerRecord} record - Removed record
+   */
+  const forgetRecord = ({noEcho, policy}) => {
+    if (noEcho) {
+      client.echoes.listeners--;
+    }
+    if (policy) {
+      policy.cancel();
+    }
+  };
+
+  /**
+   * Removes a topic's listener (or all of them), releasing its filter.
+   * @param {string} topic - MQTT topic filter or pattern, as given to
+   *   `subscribe()`
+   * @param {Function} [listener] - Listener to remove; all if omitted
+   * @returns {string|null} Filter to unsubscribe from at the broker, if no
+   *   listeners remain
+   */
+  const detachListeners = (topic, listener) => {
+    const {matcher, registry} = client;
+    const {topic: brokerFilter, filter} = parseSubscription(topic);
+    const subscription = registry.get(brokerFilter);
+    if (subscription) {
+      const records = listener
+        ? [subscription.removeListener(listener)].filter(Boolean)
+        : subscription.removeAllListeners();
+      records.forEach(record => {
+        matcher.remove(filter, record.wrapper);
+        forgetRecord(record);
+      });
+    }
+    return registry.release(brokerFilter) ? brokerFilter : null;
+  };
+
+  /**
+   * `true` if a listener's echoes can be dropped by the broker: its
+   * subscription's "No Local" option (MQTT 5 only).
+   * @param {ListenerRecord} record - Listener
+   * @returns {boolean}
+   */
+  const wantsNoLocal = record =>
+    record.noEcho && client.options.protocolVersion === 5;
+
+  /**
+   * Sends a SUBSCRIBE for a single topic filter.
+   * @param {string} brokerFilter - MQTT topic filter
+   * @param {number} qos - QoS to request
+   * @param {Object} opts - Options for `MqttClient#subscribe()`
+   * @param {boolean} [noLocal=false] - "No Local" option (MQTT 5 only)
+   * @returns {Promise<{topic: string, qos: number}>} Granted QoS; rejects w/
+   *   a `SubscriptionRejectedError` if the broker grants failure
+   */
+  const subscribeOne = async (brokerFilter, qos, opts, noLocal = false) => {
+    const result = await asyncMethods.subscribe.call(
+      client,
+      brokerFilter,
+      Object.assign({}, opts, {qos, nl: noLocal})
+    );
+    const granted = result.shift();
+    if (granted.qos >= FAILURE) {
+      throw subscriptionRejected(granted);
+    }
+    return granted;
+  };
 
   /**
    * Subscribe to a topic with a specific listener.
+   * Only sends a SUBSCRIBE to the broker if the topic is not yet subscribed,
+   * or if a higher QoS than previously requested is wanted.
    * @public
-   * @param {string} topic - MQTT topic
-   * @param {Function} listener - Listener function; called with  `message` and
-   *   raw `packet`
+   * @param {string} topic - MQTT topic filter, or Express-style pattern
+   *   with named levels (`devices/:deviceId/temp`, `logs/*rest`); may be
+   *   prefixed w/ `$share/<group>/` or `$queue/` for a shared subscription
+   * @param {Function} listener - Listener function; called with `message`,
+   *   raw `packet`, and `params` (values of any named levels in `topic`); if
+   *   it returns a `Promise` which rejects, the client emits `listener-error`
    * @param {Object} [opts] - Any options for MQTT subscription
    * @param {number} [opts.qos=0] - QoS
    * @param {string|Function} [opts.decoder] - Decoder to use; will default to
-   *   built-in or custom decoder supplied during `connect()`; if none
-   *   supplied, the default is the `text` decoder
+   *   the decoder mapped to the topic of each received message by the
+   *   `codecs` option of `connect()`, then to the built-in or custom decoder
+   *   supplied during `connect()`; if none supplied, the default is the
+   *   `text` decoder
+   * @param {Object} [opts.schema] - JSON Schema which decoded messages must
+   *   conform to; messages which don't are emitted as `invalid-message`
+   *   events instead of reaching `listener`
+   * @param {string} [opts.onDecodeError='skip'] - What to do if the decoder
+   *   throws (after emitting a `decode-error` event): `skip` the listener,
+   *   call it with the `raw` Buffer, or `throw` (the client will emit
+   *   `error`)
+   * @param {boolean} [opts.noEcho=false] - Ignore messages published by this
+   *   client.  Under MQTT 5, the broker is asked not to send them, if no
+   *   other listener of the topic wants them; otherwise, they're recognized
+   *   by topic and payload
+   * @param {number|Object} [opts.rateLimit] - Call `listener` w/ at most
+   *   this many messages per second (or `{rate, interval, burst}`) per topic
+   * @param {number} [opts.debounce] - Call `listener` once no message has
+   *   arrived on a topic for this many milliseconds, w/ the latest
+   * @param {number} [opts.throttle] - After calling `listener`, skip
+   *   messages on the same topic for this many milliseconds
+   * @param {number} [opts.coalesce] - Call `listener` w/ the latest message
+   *   on a topic this many milliseconds after the first
+   * @param {number} [opts.every] - Call `listener` w/ every nth message on a
+   *   topic
    * @returns Promise<{{topic, qos}}> Object w/ topic subscribed to and QoS
-   *   granted by broker
+   *   granted by broker; rejects w/ a `SubscriptionRejectedError` if the
+   *   broker grants failure, or w/ an `InvalidTopicError` if `topic` isn't a
+   *   valid topic filter
    */
   client.subscribe = async function toadSubscribe(topic, listener, opts = {}) {
-    if (typeof topic !== 'string' || typeof listener !== 'function') {
-      throw new TypeError('Invalid parameters');
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    if (typeof listener !== 'function') {
+      throw new InvalidArgumentError('listener', 'a function');
     }
 
-    opts = normalizeOptions(opts, baseOpts);
-    const {toad} = this;
-    const {decoder} = opts;
-    const event = eventify(topic);
-
-    toad.on(event, (message, packet) => {
-      listener(decoder(message), packet);
-    });
-
-    // TODO: find a way to not subscribe to already-subscribed topics
-    // TODO: note that a different QoS requires a new subscription
-    // TODO: even if the topic is identical!
+    const {brokerFilter, subscription, record, detach} = attachListener(
+      topic,
+      listener,
+      opts
+    );
     try {
-      const result = await asyncMethods.subscribe.call(this, topic, opts);
-      return result.shift();
+      return describeSuback(
+        await subscription.ensure(
+          record.qos,
+          (qos, noLocal) => subscribeOne(brokerFilter, qos, opts, noLocal),
+          wantsNoLocal(record)
+        )
+      );
     } catch (err) {
-      toad.removeListener(event, listener);
+      detach();
       throw err;
     }
   };
 
+  /**
+   * Subscribes to a shared subscription: the broker delivers each message
+   * matching `topic` to just one client subscribed w/ the same `group`.
+   * Same as `subscribe('$share/<group>/<topic>', listener, opts)`; use
+   * `unsubscribe()` w/ that topic to unsubscribe.
+   * @public
+   * @param {string} group - Share group name
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Function} listener - Listener function, as for `subscribe()`
+   * @param {Object} [opts] - Options, as for `subscribe()`
+   * @returns {Promise<{topic: string, qos: number}>} Object w/ topic
+   *   subscribed to and QoS granted by broker
+   */
+  client.subscribeShared = async function toadSubscribeShared(
+    group,
+    topic,
+    listener,
+    opts = {}
+  ) {
+    if (typeof group !== 'string' || !group || /[/+#]/.test(group)) {
+      throw new InvalidArgumentError(
+        'share group',
+        'a non-empty string without "/", "+" or "#"'
+      );
+    }
+    return this.subscribe(`$share/${group}/${topic}`, listener, opts);
+  };
+
   /**
    * Topic must match exactly.
    * Only unsubscribes at broker level if no more listeners are registered for
    * the topic.
    * @public
-   * @param {string} topic - MQTT topic
+   * @param {string} topic - MQTT topic filter or pattern, as given to
+   *   `subscribe()`
    * @param {Function} [listener] - Listener function to remove; if omitted, *all* listeners are removed, and the topic is unsubscribed.
    * @returns {Promise<boolean>} `true` if unsubscribed, `false` if not
    */
   client.unsubscribe = async function toadUnsubscribe(topic, listener) {
-    const {toad} = this;
-    const event = eventify(topic);
-    if (!listener) {
-      toad.removeAllListeners(event);
-    } else {
-      toad.removeListener(event, listener);
+    const brokerFilter = detachListeners(topic, listener);
+    if (!brokerFilter) {
+      return false;
+    }
+    await asyncMethods.unsubscribe.call(this, brokerFilter);
+    const {reasonCode, reason} = this.unsubacks.take(brokerFilter);
+    if (reasonCode >= FAILURE) {
+      throw new UnsubscriptionRejectedError(brokerFilter, reasonCode, reason);
+    }
+    return true;
+  };
+
+  /**
+   * Subscribes to many topics w/ a single SUBSCRIBE.
+   * Each filter succeeds or fails by itself: only the listeners of filters
+   * the broker rejects are removed.
+   * @public
+   * @param {Object<string,Function|Object>} subscriptions - Listeners by MQTT
+   *   topic filter or pattern; each a listener function, or an object w/
+   *   `listener` and any options for `subscribe()`
+   * @returns {Promise<Object<string,Object>>} Results keyed like
+   *   `subscriptions`: `{topic, qos, reasonCode, reason, error}`, where
+   *   `error` is set if the filter couldn't be subscribed
+   */
+  client.subscribeMany = async function toadSubscribeMany(subscriptions) {
+    if (!subscriptions || typeof subscriptions !== 'object') {
+      throw new InvalidArgumentError('subscriptions', 'an object');
+    }
+    const specs = Object.keys(subscriptions).map(topic => {
+      const spec = subscriptions[topic];
+      const opts = Object.assign(
+        {},
+        typeof spec === 'function' ? {listener: spec} : spec
+      );
+      const {listener} = opts;
+      if (typeof listener !== 'function') {
+        throw new InvalidArgumentError(`listener for "${topic}"`, 'a function');
+      }
+      delete opts.listener;
+      return {topic, listener, opts};
+    });
+
+    const entries = [];
+    try {
+      specs.forEach(({topic, listener, opts}) => {
+        entries.push(attachListener(topic, listener, opts));
+      });
+    } catch (err) {
+      entries.forEach(({detach}) => detach());
+      throw err;
+    }
+
+    // `ensure()` asks for a SUBSCRIBE synchronously, unless another is in
+    // flight for the same filter; those asked for now are batched, and any
+    // others are sent once their turn comes
+    const batch = new Map();
+    let batching = true;
+    const results = entries.map(({brokerFilter, subscription, record}, i) =>
+      subscription
+        .ensure(
+          record.qos,
+          (qos, noLocal) =>
+            batching
+              ? new Promise((resolve, reject) => {
+                  batch.set(brokerFilter, {qos, noLocal, resolve, reject});
+                })
+              : subscribeOne(brokerFilter, qos, specs[i].opts, noLocal),
+          wantsNoLocal(record)
+        )
+        .then(
+          granted => Object.assign(describeSuback(granted), {error: null}),
+          err => {
+            entries[i].detach();
+            return Object.assign(
+              err instanceof SubscriptionRejectedError
+                ? describeSuback({topic: err.topic, qos: err.reasonCode})
+                : {topic: brokerFilter},
+              {error: err}
+            );
+          }
+        )
+    );
+    batching = false;
+
+    if (batch.size) {
+      try {
+        const granted = await asyncMethods.subscribe.call(
+          this,
+          Array.from(batch).reduce(
+            (acc, [topic, {qos, noLocal}]) =>
+              Object.assign(acc, {[topic]: {qos, nl: noLocal}}),
+            {}
+          )
+        );
+        granted.forEach(({topic, qos}) => {
+          const {resolve, reject} = batch.get(topic);
+          if (qos >= FAILURE) {
+            reject(subscriptionRejected({topic, qos}));
+          } else {
+            resolve({topic, qos});
+          }
+        });
+      } catch (err) {
+        batch.forEach(({reject}) => {
+          reject(err);
+        });
+      }
+    }
+
+    return (await Promise.all(results)).reduce(
+      (acc, result, i) => Object.assign(acc, {[specs[i].topic]: result}),
+      {}
+    );
+  };
+
+  /**
+   * Removes all listeners of many topics, unsubscribing w/ a single
+   * UNSUBSCRIBE.
+   * @public
+   * @param {string[]} topics - MQTT topic filters or patterns, as given to
+   *   `subscribe()`
+   * @returns {Promise<Object<string,Object>>} Results keyed by topic:
+   *   `{topic, unsubscribed, error}`, plus `reasonCode` and `reason` if
+   *   unsubscribed at the broker; `error` is set if the broker refused
+   */
+  client.unsubscribeMany = async function toadUnsubscribeMany(topics) {
+    if (
+      !Array.isArray(topics) ||
+      topics.some(topic => typeof topic !== 'string')
+    ) {
+      throw new InvalidArgumentError('topics', 'an array of strings');
     }
-    if (!toad.listenerCount(event)) {
-      await asyncMethods.unsubscribe.call(this, topic);
-      return true;
+    const released = topics.map(topic => detachListeners(topic));
+    const brokerFilters = released.filter(Boolean);
+    let error = null;
+    if (brokerFilters.length) {
+      try {
+        await asyncMethods.unsubscribe.call(this, brokerFilters);
+      } catch (err) {
+        error = err;
+      }
     }
-    return false;
+    return topics.reduce((acc, topic, i) => {
+      const brokerFilter = released[i];
+      if (!brokerFilter) {
+        return Object.assign(acc, {
+          [topic]: {
+            topic: parseSubscription(topic).topic,
+            unsubscribed: false,
+            error: null
+          }
+        });
+      }
+      const {reasonCode, reason} = this.unsubacks.take(brokerFilter);
+      return Object.assign(acc, {
+        [topic]: {
+          topic: brokerFilter,
+          unsubscribed: true,
+          reasonCode,
+          reason,
+          error:
+            error ||
+            (reasonCode >= FAILURE
+              ? new UnsubscriptionRejectedError(
+                  brokerFilter,
+                  reasonCode,
+                  reason
+                )
+              : null)
+        }
+      });
+    }, {});
+  };
+
+  /**
+   * Returns the listeners subscribed to a topic, as supplied by the user.
+   * `listeners()` is left to `EventEmitter`, for the client's own events.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern; must match exactly
+   * @returns {Array<{listener: Function, decoder: Function, qos: number}>}
+   *   Listeners w/ their decoder and requested QoS; empty if `topic` isn't
+   *   subscribed
+   */
+  client.topicListeners = function toadTopicListeners(topic) {
+    const subscription = this.registry.get(parseSubscription(topic).topic);
+    return subscription ? subscription.listeners.map(describeListener) : [];
+  };
+
+  /**
+   * Returns all subscribed topics.
+   * @public
+   * @returns {Array<{topic: string, qos: number, listeners: Object[]}>}
+   *   Topics w/ QoS granted by broker, and their listeners as returned by
+   *   `topicListeners()`
+   */
+  client.subscriptions = function toadSubscriptions() {
+    return Array.from(this.registry, ({topic, qos, listeners}) => ({
+      topic,
+      qos,
+      listeners: listeners.map(describeListener)
+    }));
   };
 
   /**
-   * Disconnects client (if connected)
+   * Disconnects client, and stops it reconnecting if offline.  Fulfills at
+   * once if already ended, or upon `end` if already ending.
    * @function
    * @public
    * @returns {Promise<void>}
    */
   client.end = async function toadEnd(force) {
-    if (this.connected) {
-      await asyncMethods.end.call(this, force);
-      this.disconnecting = false;
+    if (this.disconnected) {
+      return;
+    }
+    if (this.disconnecting) {
+      await new Promise(resolve => this.once('end', resolve));
+      return;
     }
+    // while offline, unacknowledged publishes can't be acknowledged, so
+    // MQTT.js would wait for them forever
+    await asyncMethods.end.call(this, Boolean(force) || !this.connected);
+    this.disconnecting = false;
   };
 
   /**
@@ -124,85 +972,789 @@ const toadpatch = (client, baseOpts = {}) => {
    * @param message
    * @param {Object} [opts] - `MqttClient#publish()` options
    * @param {string|Function} [opts.encoder] - Encoder to use; will default to
-   *   built-in or custom decoder supplied during `connect()`; if none
-   *   supplied, the default is the `text` encoder
-   * @returns {Promise<void>}
+   *   the encoder mapped to `topic` by the `codecs` option of `connect()`,
+   *   then to the built-in or custom encoder supplied during `connect()`; if
+   *   none supplied, the default is the `text` encoder
+   * @param {Object} [opts.schema] - JSON Schema which `message` must conform
+   *   to; if it doesn't, rejects with a `ValidationError`
+   * @param {number} [opts.timeout] - Milliseconds to wait for the publish to
+   *   complete (for QoS 1 & 2, to be acknowledged) before rejecting w/ a
+   *   `PublishTimeoutError`; by default, waits forever
+   * @param {boolean|string} [opts.localDelivery=false] - `true` to also
+   *   deliver the message to this client's matching listeners at once,
+   *   dropping its echo from the broker; `only` to deliver it locally
+   *   instead of publishing it
+   * @param {number|Object} [opts.rateLimit] - Publish at most this many
+   *   messages per second (or `{rate, interval, burst}`) to `topic`
+   * @param {number} [opts.debounce] - Publish once no other message has been
+   *   published to `topic` for this many milliseconds; supersedes any
+   *   message waiting
+   * @param {number} [opts.throttle] - After publishing, drop messages to
+   *   `topic` for this many milliseconds
+   * @param {number} [opts.coalesce] - Publish the latest message to `topic`
+   *   this many milliseconds after the first; supersedes any message waiting
+   * @param {number} [opts.every] - Publish every nth message to `topic`
+   * @param {boolean} [opts.policies] - `false` to ignore the `policies`
+   *   option of `connect()`
+   * @returns {Promise<void|{status: string}>} If the `queue` option was
+   *   given and the client is offline, fulfills once the message is
+   *   actually published, and rejects w/ a `PublishEvictedError` if it's
+   *   evicted from the queue.  If a
+   *   policy applies (given here or via the `policies` option), fulfills w/
+   *   `status` `published` or, if dropped or superseded, `dropped`.  Rejects
+   *   w/ an `InvalidTopicError` if `topic` isn't a valid topic name
    */
   client.publish = async function(topic, message, opts = {}) {
-    opts = normalizeOptions(opts, baseOpts);
+    validateTopic(topic);
+    if (LOCAL_DELIVERY_MODES.indexOf(opts.localDelivery || false) === -1) {
+      throw new InvalidArgumentError('localDelivery', 'a boolean or "only"');
+    }
+    const policy = policyFor(topic, opts);
+    opts = normalizeOptions(
+      opts,
+      Object.assign(
+        pickOpts(baseOpts, PUBLISH_DEFAULTS),
+        codecsFor(baseOpts.codecs, topic)
+      )
+    );
     const {encoder} = opts;
-    return asyncMethods.publish.call(this, topic, encoder(message), opts);
+    const errors = checkSchema(opts, message);
+    if (errors.length) {
+      throw new ValidationError(errors, topic);
+    }
+    const payload = applyCodec(encoder, 'encode', topic, message);
+    const publish = async () => {
+      if (opts.localDelivery) {
+        deliverLocally(topic, payload, opts);
+        if (opts.localDelivery === 'only') {
+          return;
+        }
+      }
+      const published =
+        this.publishQueue && this.publishQueue.shouldQueue()
+          ? this.publishQueue.enqueue(topic, payload, opts)
+          : send(topic, payload, opts);
+      return opts.timeout
+        ? timeLimit(
+            published,
+            opts.timeout,
+            () => new PublishTimeoutError(topic, opts.timeout)
+          )
+        : published;
+    };
+    return policy
+      ? policy.submit(topic, () => publish().then(() => PUBLISHED))
+      : publish();
+  };
+
+  /**
+   * Waits until the client is connected.
+   * @public
+   * @returns {Promise<MqttClient>} This client; fulfills at once if
+   *   connected, else upon the next connection; rejects w/ a
+   *   `ClientClosedError` if the client is closed first
+   */
+  client.whenConnected = function toadWhenConnected() {
+    return whenConnected(this);
+  };
+
+  /**
+   * Sets the will sent when (re)connecting; it's encoded like a `publish()`
+   * payload.  Takes effect upon the next connection.
+   * @public
+   * @param {string|null} topic - MQTT topic; `null` removes the will
+   * @param {*} [message] - Payload
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.qos=0] - QoS
+   * @param {boolean} [opts.retain=false] - Retain flag
+   * @param {Object} [opts.properties] - MQTT 5 will properties
+   * @param {string|Function} [opts.encoder] - Encoder; defaults as in
+   *   `publish()`, or to `binary` for a `Buffer` payload
+   * @param {Object} [opts.schema] - JSON Schema which `message` must conform
+   *   to; if it doesn't, throws a `ValidationError`
+   */
+  client.setWill = function toadSetWill(topic, message, opts = {}) {
+    if (topic === null) {
+      delete this.options.will;
+      return;
+    }
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string or null');
+    }
+    this.options.will = encodeMessage(
+      Object.assign({}, opts, {topic, payload: message}),
+      baseOpts
+    );
+  };
+
+  /**
+   * Publishes a request and waits for a response from a handler registered
+   * via `respond()`.
+   * The request is published as a JSON envelope carrying a correlation ID
+   * and the topic to respond to; `payload` is encoded within it as
+   * `publish()` would encode it to `topic`, and the response is decoded as
+   * `subscribe()` would decode a message on `topic`.
+   * Rejects w/ a `RequestTimeoutError` if no response arrives within
+   * `opts.timeout`; also rejects if the client disconnects, or if the
+   * handler failed.
+   * @public
+   * @param {string} topic - MQTT topic
+   * @param {*} payload - Request payload
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.timeout=10000] - Milliseconds to wait for response
+   * @param {string} [opts.responseTopic] - Topic to receive response on;
+   *   defaults to `mqttletoad/replies/<clientId>`, which is subscribed to
+   *   once and shared by all requests
+   * @param {number} [opts.qos=0] - QoS of request and response subscription
+   * @param {string|Function} [opts.encoder] - Encoder of `payload`;
+   *   defaults as in `publish()`
+   * @param {string|Function} [opts.decoder] - Decoder of the response;
+   *   defaults as in `subscribe()`
+   * @param {Object} [opts.schema] - JSON Schema which `payload` must
+   *   conform to; if it doesn't, rejects w/ a `ValidationError`.  The
+   *   `schema` option of `connect()` doesn't apply
+   * @returns {Promise<*>} Response payload
+   */
+  client.request = async function toadRequest(topic, payload, opts = {}) {
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    return this.requester.request(topic, payload, opts);
+  };
+
+  /**
+   * Responds to requests made via `request()` on topics matching `topic`.
+   * Whatever `handler` returns (or fulfills with) is published to the
+   * requester's response topic; if it throws (or rejects), the error is
+   * published instead, and the requester's promise rejects.
+   * Use `unsubscribe(topic)` to stop responding.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Function} handler - Called w/ request `payload`, raw `packet` and
+   *   `params`
+   * @param {Object} [opts] - Any options for MQTT subscription
+   * @param {number} [opts.qos=0] - QoS of subscription and responses
+   * @param {string|Function} [opts.decoder] - Decoder of request payloads;
+   *   defaults as in `subscribe()`
+   * @param {string|Function} [opts.encoder] - Encoder of responses; defaults
+   *   as in `publish()` to the topic of the request
+   * @param {Object} [opts.schema] - JSON Schema which request payloads must
+   *   conform to; for those which don't, `handler` isn't called, and the
+   *   requester's promise rejects w/ the `ValidationError`.  The `schema`
+   *   option of `connect()` doesn't apply
+   * @returns {Promise<{topic: string, qos: number}>} Object w/ topic
+   *   subscribed to and QoS granted by broker
+   */
+  client.respond = async function toadRespond(topic, handler, opts = {}) {
+    return respond(this, topic, handler, opts, payloadCodec);
+  };
+
+  /**
+   * Adds middleware run on every received message before any listeners.
+   * Middleware is called with a context (`topic`, raw `payload`, decoded
+   * `message`, `packet` and `params`) and a `next()` function.  Call `next()`
+   * to continue; don't, and the message is dropped.  Reassign `topic` or
+   * `payload` to change what listeners receive, or assign `message` to hand
+   * listeners a value as-is, bypassing their decoders.
+   * @public
+   * @param {...Function} fns - Middleware functions
+   * @returns {MqttClient} This client
+   */
+  client.use = function toadUse(...fns) {
+    this.router.use(...fns);
+    return this;
+  };
+
+  /**
+   * Creates a route: middleware which only runs for messages w/ topics
+   * matching `topic`.  Any named levels in `topic` are available to its
+   * middleware as `params`.
+   * @public
+   * @param {string} topic - MQTT topic filter or Express-style pattern
+   * @returns {Route} Route; call `use()` on it to add middleware
+   */
+  client.route = function toadRoute(topic) {
+    return this.router.route(topic);
+  };
+
+  /**
+   * Subscribes to `topic` and returns an async iterator of received messages,
+   * for use with `for await`.
+   * Messages are buffered until consumed; when more than `highWaterMark`
+   * are waiting, the `overflow` policy applies: `drop-oldest` and
+   * `drop-newest` discard a message, and `pause` stops reading from the
+   * connection (delaying *all* messages) until the buffer drains.
+   * Breaking out of the loop (or calling `return()`) removes the listener,
+   * unsubscribing if it was the last one.  Iteration ends when the client
+   * ends.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `subscribe()`, and:
+   * @param {number} [opts.highWaterMark=16] - Max buffered messages
+   * @param {string} [opts.overflow='drop-oldest'] - `drop-oldest`,
+   *   `drop-newest` or `pause`
+   * @returns {AsyncIterator<{topic: string, message: *, packet: Object, params: Object}>}
+   */
+  client.messages = function toadMessages(topic, opts = {}) {
+    return new MessageIterator(this, topic, opts);
+  };
+
+  /**
+   * Subscribes to `topic` and returns an object-mode `Readable` of received
+   * messages, in the same shape as `messages()`.
+   * Destroying the stream removes the listener.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `messages()`
+   * @returns {Readable}
+   */
+  client.createReadStream = function toadCreateReadStream(topic, opts = {}) {
+    return createReadStream(this, topic, opts);
+  };
+
+  /**
+   * Returns an object-mode `Writable` which publishes everything written to
+   * it to `topic`.
+   * @public
+   * @param {string} topic - MQTT topic
+   * @param {Object} [opts] - Options for `publish()`
+   * @returns {Writable}
+   */
+  client.createWriteStream = function toadCreateWriteStream(topic, opts = {}) {
+    return createWriteStream(this, topic, opts);
   };
 
   /**
-   * On any received message, delegate to the internal EE2 instance
-   * where the real listeners for subscriptions are stored.
+   * Waits for the next message on `topic` satisfying `predicate`, reusing
+   * any existing subscription.  The listener is removed once the promise
+   * settles.
+   * Rejects on timeout (w/ a `WaitTimeoutError`), if the client disconnects,
+   * or if `opts.signal` is aborted.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Function} [predicate] - Called w/ decoded `message`, raw `packet`
+   *   and `params`; return truthy to accept the message.  If omitted, the
+   *   first message is accepted
+   * @param {Object} [opts] - Options for `subscribe()`, and:
+   * @param {number} [opts.timeout] - Milliseconds to wait; waits forever if
+   *   omitted
+   * @param {AbortSignal} [opts.signal] - Signal to abort waiting
+   * @returns {Promise<*>} Decoded message
+   */
+  client.waitFor = async function toadWaitFor(topic, predicate, opts = {}) {
+    if (predicate && typeof predicate === 'object') {
+      opts = predicate;
+      predicate = undefined;
+    }
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    if (predicate !== undefined && typeof predicate !== 'function') {
+      throw new InvalidArgumentError('predicate', 'a function');
+    }
+    return waitFor(this, topic, predicate, opts);
+  };
+
+  /**
+   * Collects the retained messages matching `topic`, subscribing briefly.
+   * Resolves once no retained message has arrived for `opts.timeout` ms.
+   * If `topic` is already subscribed, the broker is asked to send its
+   * retained messages again, so other listeners receive them, too.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `subscribe()`, and:
+   * @param {number} [opts.timeout=100] - Milliseconds to wait for another
+   *   retained message
+   * @returns {Promise<Object<string,*>>} Decoded values by topic
    */
-  client.on('message', function(topic, message, packet) {
-    this.toad.emit(eventify(topic), message, packet);
+  client.getRetained = async function toadGetRetained(topic, opts = {}) {
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    return getRetained(this, topic, opts, brokerFilter => {
+      const {requestedQos, noLocal} = this.registry.get(brokerFilter);
+      return asyncMethods.subscribe.call(this, brokerFilter, {
+        qos: requestedQos,
+        nl: noLocal
+      });
+    });
+  };
+
+  /**
+   * Clears the retained message of a topic by publishing an empty retained
+   * message.  The `policies` option of `connect()` doesn't apply, lest the
+   * message be dropped.
+   * @public
+   * @param {string} topic - MQTT topic
+   * @param {Object} [opts] - Options for `publish()`
+   * @returns {Promise<void>}
+   */
+  client.clearRetained = async function toadClearRetained(topic, opts = {}) {
+    return this.publish(
+      topic,
+      Buffer.alloc(0),
+      Object.assign({}, opts, {
+        encoder: 'binary',
+        schema: null,
+        retain: true,
+        policies: false
+      })
+    );
+  };
+
+  /**
+   * Creates a cache of the latest value of every topic matching `topic`,
+   * starting w/ retained messages and kept up to date as messages arrive.
+   * An empty message (see `clearRetained()`) removes its topic from the
+   * cache.  Call `close()` on the cache to unsubscribe.
+   * @public
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `subscribe()`
+   * @returns {Promise<RetainedCache>} Cache, once subscribed
+   */
+  client.retainedCache = async function toadRetainedCache(topic, opts = {}) {
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    return new RetainedCache(this, topic, opts).open();
+  };
+
+  /**
+   * Returns a view of this client which prefixes topics w/ `prefix`, for
+   * `publish()`, `subscribe()`, `unsubscribe()` and `waitFor()`; listeners
+   * receive packets w/ the prefix stripped from `topic`.  Call `end()` on
+   * the scope to remove the listeners added through it.
+   * @public
+   * @param {string} prefix - Topic prefix, e.g., `tenants/acme`; joined to
+   *   topics w/ a `/`
+   * @returns {Scope} Scope; call `scope()` on it to nest another
+   */
+  client.scope = function toadScope(prefix) {
+    return new Scope(this, prefix);
+  };
+
+  /**
+   * Restores every subscription in the registry at its recorded QoS, in a
+   * single SUBSCRIBE.
+   * @returns {Promise<Array<{topic: string, qos: number, error: ?Error}>>}
+   *   Result for each filter; `error` is set if it couldn't be restored
+   */
+  const resubscribe = async () => {
+    const subscriptions = Array.from(client.registry).filter(
+      ({requestedQos}) => requestedQos >= 0
+    );
+    if (!subscriptions.length) {
+      return [];
+    }
+    let granted;
+    try {
+      granted = await asyncMethods.subscribe.call(
+        client,
+        subscriptions.reduce(
+          (acc, {topic, requestedQos, noLocal}) =>
+            Object.assign(acc, {[topic]: {qos: requestedQos, nl: noLocal}}),
+          {}
+        )
+      );
+    } catch (err) {
+      return subscriptions.map(({topic, requestedQos}) => ({
+        topic,
+        qos: requestedQos,
+        error: err
+      }));
+    }
+    return granted.map(({topic, qos}) => {
+      if (qos >= FAILURE) {
+        return {topic, qos, error: subscriptionRejected({topic, qos})};
+      }
+      const subscription = client.registry.get(topic);
+      if (subscription) {
+        subscription.qos = qos;
+      }
+      return {topic, qos, error: null};
+    });
+  };
+
+  /**
+   * Upon reconnection, publish the `birth` message; if to a clean session,
+   * restore subscriptions (unless the `resubscribe` option is `false`); then
+   * replay any queued publishes.
+   */
+  client.on('connect', function() {
+    this.topicAliases.reset();
+    sendBirth();
+    if (!this.sessionPresent && baseOpts.resubscribe !== false) {
+      resubscribe().then(results => {
+        this.emit('resubscribed', results);
+      });
+    }
+    if (this.publishQueue) {
+      this.publishQueue.flush();
+    }
+  });
+
+  /**
+   * Topic aliases last for one connection.
+   */
+  client.on('close', function() {
+    this.topicAliases.reset();
+  });
+
+  /**
+   * Upon `end()`, drop publishes and received messages held back by
+   * policies, so no listener is called afterwards.
+   */
+  client.on('end', () => {
+    policyMap.forEach(({policy}) => {
+      policy.cancel();
+    });
+    callPolicies.forEach(policy => {
+      policy.cancel();
+    });
+    for (const {listeners} of client.registry) {
+      listeners.forEach(({policy}) => {
+        if (policy) {
+          policy.cancel();
+        }
+      });
+    }
+  });
+
+  if (client.connected) {
+    sendBirth();
+  }
+  if (client.publishQueue) {
+    client.publishQueue.flush();
+  }
+
+  /**
+   * Drops echoes of messages delivered locally; hands others to `dispatch()`.
+   */
+  client.on('message', function(topic, payload, packet) {
+    const echo = this.echoes.take(topic, payload);
+    if (echo && echo.delivered) {
+      return;
+    }
+    dispatch(topic, payload, packet, Boolean(echo));
   });
 
   return client;
 };
 
-const normalizeOptions = (opts = {}, defaults = DEFAULT_OPTS) => {
-  [['decoder', decoders], ['encoder', encoders]].forEach(([prop, builtins]) => {
+/**
+ * Strips internals from a `ListenerRecord`.
+ * @param {ListenerRecord} record - Record
+ * @returns {{listener: Function, decoder: Function, qos: number}}
+ */
+const describeListener = ({listener, decoder, qos}) => ({
+  listener,
+  decoder,
+  qos
+});
+
+/**
+ * Creates the error for a subscription the broker rejected.
+ * @param {{topic: string, qos: number}} granted - Topic & "granted" QoS (or
+ *   reason code) from SUBACK
+ * @returns {SubscriptionRejectedError}
+ */
+const subscriptionRejected = granted => {
+  const {topic, reasonCode, reason} = describeSuback(granted);
+  return new SubscriptionRejectedError(topic, reasonCode, reason);
+};
+
+/**
+ * Copies those of `props` present in an object.
+ * @param {Object} obj - Options, message etc.
+ * @param {string[]} props - Names of properties to copy
+ * @returns {Object}
+ */
+const pickOpts = (obj, props) =>
+  props.reduce(
+    (acc, prop) =>
+      prop in obj ? Object.assign(acc, {[prop]: obj[prop]}) : acc,
+    {}
+  );
+
+/**
+ * Options of `connect()` which are defaults of `publish()`; others, like
+ * the CONNECT packet's `properties`, don't belong in a PUBLISH
+ * @type {string[]}
+ */
+const PUBLISH_DEFAULTS = ['encoder', 'schema', 'validator'];
+
+/**
+ * Options of `publish()` passed on to `MqttClient#publish()`
+ * @type {string[]}
+ */
+const PACKET_OPTS = ['qos', 'retain', 'dup', 'properties'];
+
+/**
+ * Encodes or decodes a payload, wrapping any error in a `CodecError`.
+ * @param {Function} codec - Encoder or decoder
+ * @param {string} direction - `encode` or `decode`
+ * @param {string} topic - MQTT topic of message
+ * @param {*} value - Value to encode or decode
+ * @returns {*} Encoded or decoded value
+ * @throws {CodecError}
+ */
+const applyCodec = (codec, direction, topic, value) => {
+  try {
+    return codec(value);
+  } catch (cause) {
+    throw new CodecError({
+      direction,
+      codec: codec.name || 'anonymous',
+      topic,
+      cause
+    });
+  }
+};
+
+/**
+ * Rejects w/ an error if a `Promise` doesn't settle in time.
+ * @param {Promise} promise - Promise
+ * @param {number} ms - Milliseconds to wait
+ * @param {Function} createError - Returns the error to reject with
+ * @returns {Promise} Settles as `promise`, unless it takes too long
+ */
+const timeLimit = (promise, ms, createError) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(createError());
+    }, ms);
+    promise.then(
+      value => {
+        clearTimeout(timer);
+        resolve(value);
+      },
+      err => {
+        clearTimeout(timer);
+        reject(err);
+      }
+    );
+  });
+
+/**
+ * Validates a (decoded) message against the `schema` option, if any.
+ * @param {Object} opts - Normalized options
+ * @param {Object} [opts.schema] - Schema
+ * @param {Function} opts.validator - Validator; called w/ `schema` and
+ *   `value`, returns an `Array` of violations
+ * @param {*} value - Message
+ * @returns {SchemaViolation[]} Violations; empty if valid or no schema
+ */
+const checkSchema = ({schema, validator}, value) =>
+  schema ? validator(schema, value) || [] : [];
+
+/**
+ * Publish options kept from a `will` or `birth` message
+ * @type {string[]}
+ */
+const MESSAGE_OPTS = ['qos', 'retain', 'properties'];
+
+/**
+ * Encodes a `will` or `birth` message as `publish()` would encode its
+ * payload.  Unlike `publish()`, the `schema` option of `connect()` isn't
+ * applied; only the message's own `schema`.  A `Buffer` payload is sent
+ * as-is unless the message names its own `encoder`.
+ * @param {Object} message - Message
+ * @param {string} message.topic - MQTT topic
+ * @param {*} [message.payload] - Payload to encode
+ * @param {string|Function} [message.encoder] - Encoder; defaults as in
+ *   `publish()`, or to `binary` for a `Buffer` payload
+ * @param {Object} [message.schema] - JSON Schema `payload` must conform to
+ * @param {Object} baseOpts - Normalized options of `connect()`
+ * @returns {{topic: string, payload: string|Buffer, qos?: number,
+ *   retain?: boolean, properties?: Object}} Message as MQTT.js wants it
+ */
+const encodeMessage = (message, baseOpts) => {
+  if (!message || typeof message.topic !== 'string') {
+    throw new TypeError('will and birth messages must have a topic');
+  }
+  validateTopic(message.topic);
+  const {topic, payload} = message;
+  const opts = normalizeOptions(
+    'encoder' in message
+      ? {encoder: message.encoder}
+      : Buffer.isBuffer(payload) ? {encoder: 'binary'} : {},
+    Object.assign({}, baseOpts, codecsFor(baseOpts.codecs, topic), {
+      schema: message.schema
+    })
+  );
+  const errors = checkSchema(opts, payload);
+  if (errors.length) {
+    throw new ValidationError(errors, topic);
+  }
+  return Object.assign(
+    {topic, payload: opts.encoder(payload)},
+    pickOpts(message, MESSAGE_OPTS)
+  );
+};
+
+/**
+ * Resolves names of codecs in `encoder` and `decoder` options (mutates).
+ * @param {Object} opts - Options
+ * @returns {Object} `opts`
+ */
+const resolveCodecOptions = opts => {
+  [
+    ['decoder', 'decode'],
+    ['encoder', 'encode']
+  ].forEach(([prop, direction]) => {
     if (prop in opts) {
       if (typeof opts[prop] === 'string') {
-        const value = builtins[opts[prop]];
-        if (!value) {
-          throw new ReferenceError(`unknown ${prop} "${opts[prop]}"`);
-        }
-        opts[prop] = value;
+        opts[prop] = resolveCodec(opts[prop], direction);
       } else if (typeof opts[prop] !== 'function') {
         throw new TypeError(`${prop} must be string or function`);
       }
     }
   });
-  return Object.assign(opts, defaults, opts);
+  return opts;
+};
+
+/**
+ * Converts the `codecs` option--an object mapping topic filters to codec
+ * names or `{encoder, decoder}` objects--into a list of resolved entries.
+ * @param {Object<string,string|Object>} codecs - `codecs` option
+ * @returns {Array<{filter: string, encoder: Function, decoder: Function}>}
+ *   Entries, in declaration order
+ */
+const resolveCodecMap = codecs =>
+  Object.keys(codecs).map(filter => {
+    const codec = codecs[filter];
+    if (typeof codec === 'string') {
+      return {
+        filter,
+        encoder: resolveCodec(codec, 'encode'),
+        decoder: resolveCodec(codec, 'decode')
+      };
+    }
+    if (!codec || typeof codec !== 'object') {
+      throw new TypeError(
+        `codec for "${filter}" must be a string or {encoder, decoder} object`
+      );
+    }
+    const entry = {filter};
+    ['encoder', 'decoder'].forEach(prop => {
+      if (codec[prop]) {
+        entry[prop] = codec[prop];
+      }
+    });
+    return resolveCodecOptions(entry);
+  });
+
+/**
+ * Finds the encoder and/or decoder mapped to a topic by the `codecs` option.
+ * The first entry whose filter matches wins.
+ * @param {Array<{filter: string, encoder: Function, decoder: Function}>} [codecs]
+ *   Entries as returned by `resolveCodecMap()`
+ * @param {string} topic - Topic (or topic filter)
+ * @returns {{encoder?: Function, decoder?: Function}} Encoder and/or decoder;
+ *   empty if no entry matches
+ */
+const codecsFor = (codecs = [], topic) => {
+  const entry = codecs.find(({filter}) => matches(filter, topic));
+  if (!entry) {
+    return {};
+  }
+  return ['encoder', 'decoder'].reduce(
+    (acc, prop) =>
+      entry[prop] ? Object.assign(acc, {[prop]: entry[prop]}) : acc,
+    {}
+  );
+};
+
+const normalizeOptions = (opts = {}, defaults = DEFAULT_OPTS) => {
+  opts = resolveCodecOptions(Object.assign({}, opts));
+  if ('codecs' in opts && !Array.isArray(opts.codecs)) {
+    opts.codecs = resolveCodecMap(opts.codecs || {});
+  }
+  if ('validator' in opts && typeof opts.validator !== 'function') {
+    throw new TypeError('validator must be a function');
+  }
+  if (
+    'onDecodeError' in opts &&
+    DECODE_ERROR_POLICIES.indexOf(opts.onDecodeError) === -1
+  ) {
+    throw new TypeError(
+      `onDecodeError must be one of ${DECODE_ERROR_POLICIES.join(', ')}`
+    );
+  }
+  return Object.assign({}, defaults, opts);
 };
 
 /**
  * Accepts same parameters as `mqtt.connect`, except returns a `Promise`
  * which is fulfilled when the connection is made.
+ * The `will` option is encoded like `birth` (see `toadpatch()`).
+ * Rejects if the first connection attempt fails: w/ a
+ * `ConnectionRefusedError` if the broker refuses, a `ConnectTimeoutError` if
+ * no CONNACK arrives within the `connectTimeout` option (default 30000ms),
+ * or the socket's error.  Given the `retry` option--`true`, or options
+ * `retries` (default `10`), `minDelay` (ms; default `1000`), `maxDelay` (ms;
+ * default `30000`), `factor` (default `2`) and `jitter` (fraction of delay;
+ * default `0.5`)--failed attempts are retried w/ exponential backoff.
  * Returns a fancypants patched `MqttClient` instance.
  * @see https://www.npmjs.com/package/mqtt#connect
  * @returns {Promise<MqttClient>} Patched `MqttClient` instance
  */
 exports.connect = async (url, opts = {}) => {
   if (typeof url === 'undefined') {
-    throw new Error('Invalid arguments');
+    throw new InvalidArgumentError('url', 'a URL or options object');
+  }
+  opts = normalizeOptions(typeof url === 'string' ? opts : url);
+  // we restore subscriptions ourselves; see `toadpatch()`
+  const mqttOpts = Object.assign({}, opts, {resubscribe: false});
+  if (opts.will) {
+    mqttOpts.will = encodeMessage(opts.will, opts);
   }
-  let args;
-  if (typeof url === 'string') {
-    opts = normalizeOptions(opts);
-    args = [url, opts];
-  } else {
-    opts = normalizeOptions(url);
-    args = [opts];
+  if (opts.birth) {
+    // fail before connecting rather than in `toadpatch()`
+    encodeMessage(opts.birth, opts);
   }
+  const retry = normalizeRetry(opts.retry);
   const path = opts.mitm ? 1833 : opts.path;
-  return new Promise((resolve, reject) => {
-    (path
-      ? MQTT.MqttClient(() => net.createConnection(path), {
-          resubscribe: false
-        })
-      : MQTT.connect(...args)
-    )
-      .on('connect', function(connack) {
-        /**
-         * If `false`, this is a clean session
-         * @public
-         * @memberOf client
-         */
-        this.sessionPresent = Boolean(connack.sessionPresent);
-      })
-      .once('error', reject)
-      .once('connect', function() {
-        resolve(toadpatch(this, opts));
-      });
+  const client = (path
+    ? MQTT.MqttClient(() => net.createConnection(path), mqttOpts)
+    : typeof url === 'string'
+      ? MQTT.connect(url, mqttOpts)
+      : MQTT.connect(mqttOpts)
+  ).on('connect', function(connack) {
+    /**
+     * If `false`, this is a clean session
+     * @public
+     * @memberOf client
+     */
+    this.sessionPresent = Boolean(connack.sessionPresent);
+    /**
+     * Properties of the last CONNACK (MQTT 5).  Unlike
+     * `this.options.properties`, which MQTT.js overwrites w/ some of them,
+     * these are the broker's alone.
+     * @private
+     * @memberOf client
+     */
+    this.connackProperties = connack.properties || {};
   });
+  await establish(trackState(client), retry);
+  return toadpatch(client, opts);
 };
 
 exports.patch = toadpatch;
+exports.registerCodec = registerCodec;
+exports.MqttletoadError = MqttletoadError;
+exports.ConnectionRefusedError = ConnectionRefusedError;
+exports.ConnectTimeoutError = ConnectTimeoutError;
+exports.ClientClosedError = ClientClosedError;
+exports.SubscriptionRejectedError = SubscriptionRejectedError;
+exports.UnsubscriptionRejectedError = UnsubscriptionRejectedError;
+exports.PublishTimeoutError = PublishTimeoutError;
+exports.PublishEvictedError = PublishEvictedError;
+exports.RequestTimeoutError = RequestTimeoutError;
+exports.WaitTimeoutError = WaitTimeoutError;
+exports.CodecError = CodecError;
+exports.ValidationError = ValidationError;
+exports.InvalidArgumentError = InvalidArgumentError;
+exports.InvalidTopicError = InvalidTopicError;
 exports.Store = MQTT.Store;
+exports.FileStore = FileStore;
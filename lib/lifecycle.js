@@ -0,0 +1,232 @@
+'use strict';
+
+const {
+  ClientClosedError,
+  ConnectTimeoutError,
+  ConnectionRefusedError
+} = require('./errors');
+
+/**
+ * Values of `client.state`
+ * @type {string[]}
+ */
+const STATES = ['connecting', 'connected', 'offline', 'reconnecting', 'closed'];
+
+/**
+ * Defaults of the `retry` option
+ * @type {Object}
+ */
+const RETRY_DEFAULTS = {
+  retries: 10,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5
+};
+
+/**
+ * CONNACK return/reason codes worth retrying: "Server unavailable" (3.1.1),
+ * "Server unavailable" and "Server busy" (5).  Other refusals won't go away
+ * by themselves.
+ * @type {number[]}
+ */
+const RETRYABLE_RETURN_CODES = [3, 0x88, 0x89];
+
+/**
+ * Resolves the `retry` option of `connect()`.
+ * @param {boolean|Object} [retry] - `true` for defaults, or options
+ * @returns {Object|null} Options, or `null` if not retrying
+ */
+const normalizeRetry = retry => {
+  if (!retry) {
+    return null;
+  }
+  const opts = Object.assign({}, RETRY_DEFAULTS, retry === true ? {} : retry);
+  if (!(opts.jitter >= 0 && opts.jitter <= 1)) {
+    throw new TypeError('retry jitter must be between 0 and 1');
+  }
+  return opts;
+};
+
+/**
+ * Milliseconds to wait before a retry.  Grows by `factor` from `minDelay`
+ * until `maxDelay`; then up to `jitter` (a fraction) of it is taken off at
+ * random, so clients started together don't retry together.
+ * @param {number} attempt - Number of retries made so far
+ * @param {Object} opts - Resolved `retry` options
+ * @param {Function} [random=Math.random] - Returns a number in [0, 1)
+ * @returns {number} Delay
+ */
+const backoff = (
+  attempt,
+  {minDelay, maxDelay, factor, jitter},
+  random = Math.random
+) => {
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt));
+  return Math.round(delay * (1 - jitter * random()));
+};
+
+/**
+ * @param {Error} err - Why a connection attempt failed
+ * @returns {boolean} `true` if another attempt might succeed
+ */
+const isRetryable = err =>
+  !(err instanceof ConnectionRefusedError) ||
+  RETRYABLE_RETURN_CODES.indexOf(err.returnCode) !== -1;
+
+/**
+ * Keeps `client.state` up to date, emitting `state` w/ the new and previous
+ * states upon each change.
+ * @param {MqttClient} client - Client (mutated)
+ * @returns {MqttClient} `client`
+ */
+const trackState = client => {
+  const setState = state => {
+    const previous = client.state;
+    if (state !== previous) {
+      client.state = state;
+      client.emit('state', state, previous);
+    }
+  };
+  client.state = client.connected ? 'connected' : 'connecting';
+  return client
+    .on('connect', () => {
+      setState('connected');
+    })
+    .on('reconnect', () => {
+      setState('reconnecting');
+    })
+    .on('close', () => {
+      // upon `end()`, `end` follows
+      if (!client.disconnecting) {
+        setState('offline');
+      }
+    })
+    .on('end', () => {
+      setState('closed');
+    });
+};
+
+/**
+ * Waits for a new client's first connection.  Each attempt fails if the
+ * stream errors or closes, or the broker refuses, before CONNACK; if `retry`
+ * allows, another is made after a `backoff()`.  MQTT.js' own reconnection
+ * is held off until connected.
+ * @param {MqttClient} client - Client, just created
+ * @param {Object} [retry] - Resolved `retry` options; if omitted, the first
+ *   failure rejects
+ * @returns {Promise<MqttClient>} `client`, once connected; if it rejects,
+ *   the client has been ended
+ */
+const establish = (client, retry) =>
+  new Promise((resolve, reject) => {
+    const {reconnectPeriod, connectTimeout} = client.options;
+    let attempt = 0;
+    let failure;
+    let timer;
+    let connackTimer;
+
+    const watch = () => {
+      failure = null;
+      client.stream.once('error', err => {
+        failure = failure || err;
+      });
+      // replaces MQTT.js' own CONNACK timer, so we know why the stream closed
+      clearTimeout(client.connackTimer);
+      connackTimer = setTimeout(() => {
+        failure = failure || new ConnectTimeoutError(connectTimeout);
+        client.stream.destroy();
+      }, connectTimeout);
+    };
+
+    const finish = err => {
+      clearTimeout(timer);
+      clearTimeout(connackTimer);
+      client
+        .removeListener('error', onError)
+        .removeListener('close', onClose)
+        .removeListener('connect', onConnect);
+      client.options.reconnectPeriod = reconnectPeriod;
+      if (err) {
+        client.end(true);
+        reject(err);
+      } else {
+        resolve(client);
+      }
+    };
+
+    const onError = err => {
+      failure =
+        typeof err.code === 'number'
+          ? new ConnectionRefusedError(err.code)
+          : err;
+      client.stream.destroy();
+    };
+
+    const onClose = () => {
+      clearTimeout(connackTimer);
+      failure =
+        failure ||
+        Object.assign(new Error('connection closed before CONNACK'), {
+          code: 'ECONNRESET'
+        });
+      if (!retry || attempt >= retry.retries || !isRetryable(failure)) {
+        finish(failure);
+        return;
+      }
+      timer = setTimeout(() => {
+        attempt++;
+        client.reconnect({
+          incomingStore: client.incomingStore,
+          outgoingStore: client.outgoingStore
+        });
+        watch();
+      }, backoff(attempt, retry));
+    };
+
+    const onConnect = () => {
+      finish();
+    };
+
+    client.options.reconnectPeriod = 0;
+    client
+      .on('error', onError)
+      .on('close', onClose)
+      .once('connect', onConnect);
+    watch();
+  });
+
+/**
+ * Fulfills once a client is connected.
+ * @param {MqttClient} client - Client w/ `state` tracked
+ * @returns {Promise<MqttClient>} `client`; rejects w/ a `ClientClosedError`
+ *   if it's (or gets) closed first
+ */
+const whenConnected = client => {
+  if (client.connected) {
+    return Promise.resolve(client);
+  }
+  if (client.state === 'closed') {
+    return Promise.reject(new ClientClosedError());
+  }
+  return new Promise((resolve, reject) => {
+    const onConnect = () => {
+      client.removeListener('end', onEnd);
+      resolve(client);
+    };
+    const onEnd = () => {
+      client.removeListener('connect', onConnect);
+      reject(new ClientClosedError());
+    };
+    client.once('connect', onConnect).once('end', onEnd);
+  });
+};
+
+exports.STATES = STATES;
+exports.RETRY_DEFAULTS = RETRY_DEFAULTS;
+exports.normalizeRetry = normalizeRetry;
+exports.backoff = backoff;
+exports.isRetryable = isRetryable;
+exports.trackState = trackState;
+exports.establish = establish;
+exports.whenConnected = whenConnected;
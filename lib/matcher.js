@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * A level of the trie: values of the filter ending here, and the next
+ * levels.
+ * @private
+ */
+class Node {
+  constructor() {
+    /**
+     * Values added for the filter ending at this level
+     * @type {Array<*>}
+     */
+    this.values = [];
+    /**
+     * Next levels, by name (incl. `+` and `#`)
+     * @type {Map<string,Node>}
+     */
+    this.children = new Map();
+  }
+
+  /**
+   * `true` if nothing is stored here or below
+   * @type {boolean}
+   */
+  get empty() {
+    return !this.values.length && !this.children.size;
+  }
+}
+
+/**
+ * Maps MQTT topic filters to values (e.g., listeners), and finds the values
+ * of every filter matching a topic.  Filters are stored in a trie keyed by
+ * level, so matching takes time proportional to the topic's levels (and
+ * the wildcards along the way), not to the number of filters.
+ * Follows MQTT semantics: `foo/#` matches `foo`, empty levels are levels,
+ * and topics beginning w/ `$` aren't matched by a leading wildcard.
+ * Filters are assumed valid; see `validateFilter()`.
+ * @private
+ */
+class TopicMatcher {
+  constructor() {
+    this.root = new Node();
+  }
+
+  /**
+   * Adds a value for a filter.
+   * @param {string} filter - MQTT topic filter
+   * @param {*} value - Value
+   * @returns {TopicMatcher} This matcher
+   */
+  add(filter, value) {
+    const node = filter.split('/').reduce((node, level) => {
+      let child = node.children.get(level);
+      if (!child) {
+        child = new Node();
+        node.children.set(level, child);
+      }
+      return child;
+    }, this.root);
+    node.values.push(value);
+    return this;
+  }
+
+  /**
+   * Removes a value for a filter, pruning levels left empty.
+   * @param {string} filter - MQTT topic filter
+   * @param {*} value - Value, as added
+   * @returns {boolean} `true` if removed
+   */
+  remove(filter, value) {
+    const path = [this.root];
+    const levels = filter.split('/');
+    for (const level of levels) {
+      const child = path[path.length - 1].children.get(level);
+      if (!child) {
+        return false;
+      }
+      path.push(child);
+    }
+    const {values} = path[path.length - 1];
+    const index = values.indexOf(value);
+    if (index === -1) {
+      return false;
+    }
+    values.splice(index, 1);
+    for (let i = levels.length; i > 0 && path[i].empty; i--) {
+      path[i - 1].children.delete(levels[i - 1]);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} filter - MQTT topic filter
+   * @returns {number} Number of values for exactly this filter
+   */
+  count(filter) {
+    const node = filter
+      .split('/')
+      .reduce((node, level) => node && node.children.get(level), this.root);
+    return node ? node.values.length : 0;
+  }
+
+  /**
+   * Finds the values of every filter matching a topic.  Per level, values of
+   * exact matches come before those of `+`, then `#`.
+   * @param {string} topic - Topic name
+   * @returns {Array<*>} Values, in order
+   */
+  match(topic) {
+    const levels = topic.split('/');
+    const values = [];
+    const visit = (node, index) => {
+      const multi = node.children.get('#');
+      if (index === levels.length) {
+        values.push(...node.values);
+        // `foo/#` matches `foo`
+        if (multi) {
+          values.push(...multi.values);
+        }
+        return;
+      }
+      const exact = node.children.get(levels[index]);
+      if (exact) {
+        visit(exact, index + 1);
+      }
+      // wildcards don't match the first level of a `$` topic
+      if (index === 0 && levels[0].startsWith('$')) {
+        return;
+      }
+      const single = node.children.get('+');
+      if (single) {
+        visit(single, index + 1);
+      }
+      if (multi) {
+        values.push(...multi.values);
+      }
+    };
+    visit(this.root, 0);
+    return values;
+  }
+}
+
+exports.TopicMatcher = TopicMatcher;
@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * Names of SUBACK & UNSUBACK reason codes.
+ * In MQTT 3.1.1, SUBACK return codes are the granted QoS, or `0x80`.
+ * @type {Object<number,string>}
+ */
+const REASONS = {
+  0x00: 'Granted QoS 0',
+  0x01: 'Granted QoS 1',
+  0x02: 'Granted QoS 2',
+  0x11: 'No subscription existed',
+  0x80: 'Unspecified error',
+  0x83: 'Implementation specific error',
+  0x87: 'Not authorized',
+  0x8f: 'Topic Filter invalid',
+  0x91: 'Packet Identifier in use',
+  0x97: 'Quota exceeded',
+  0x9e: 'Shared Subscriptions not supported',
+  0xa1: 'Subscription Identifiers not supported',
+  0xa2: 'Wildcard Subscriptions not supported'
+};
+
+/**
+ * Reason codes at or above this indicate failure
+ * @type {number}
+ */
+const FAILURE = 0x80;
+
+/**
+ * Maps MIME types found in the `contentType` property of received messages
+ * to codec names.
+ * @type {Object<string,string>}
+ */
+const CONTENT_TYPES = {
+  'application/json': 'json',
+  'text/plain': 'text',
+  'application/octet-stream': 'binary',
+  'application/msgpack': 'msgpack',
+  'application/x-msgpack': 'msgpack',
+  'application/cbor': 'cbor'
+};
+
+/**
+ * Adds the reason code (and its name) to the result of a subscription.
+ * @param {{topic: string, qos: number}} result - Topic & granted QoS
+ * @returns {{topic: string, qos: number, reasonCode: number, reason: string}}
+ */
+const describeSuback = ({topic, qos}) => ({
+  topic,
+  qos,
+  reasonCode: qos,
+  reason: REASONS[qos] || 'Unknown'
+});
+
+/**
+ * Finds the codec name for a received packet's `contentType` property, if
+ * any.  MIME type parameters (e.g., `; charset=utf-8`) are ignored; registered
+ * codec names are accepted as-is.
+ * @param {Object} packet - Received PUBLISH packet
+ * @param {Function} isCodec - Returns `true` if given a registered codec name
+ * @returns {string|void} Codec name
+ */
+const codecForContentType = ({properties}, isCodec) => {
+  const contentType = properties && properties.contentType;
+  if (!contentType) {
+    return;
+  }
+  const mimeType = contentType
+    .split(';')
+    .shift()
+    .trim()
+    .toLowerCase();
+  if (CONTENT_TYPES[mimeType]) {
+    return CONTENT_TYPES[mimeType];
+  }
+  if (isCodec(contentType)) {
+    return contentType;
+  }
+};
+
+/**
+ * Assigns outbound topic aliases, so repeated publishes to a topic needn't
+ * carry the topic name.  Aliases last for one connection; up to the
+ * `topicAliasMaximum` the broker sent in its CONNACK are assigned, first come,
+ * first served.
+ * @private
+ */
+class TopicAliases {
+  /**
+   * @param {MqttClient} client - Client; must be connected w/ MQTT 5
+   */
+  constructor(client) {
+    this.client = client;
+    /**
+     * Aliases by topic
+     * @type {Map<string,number>}
+     */
+    this.aliases = new Map();
+  }
+
+  /**
+   * Highest alias the broker accepts; `0` if it doesn't accept any
+   * @type {number}
+   */
+  get maximum() {
+    const {connackProperties} = this.client;
+    return (connackProperties && connackProperties.topicAliasMaximum) || 0;
+  }
+
+  /**
+   * Forgets all aliases; call upon (re)connection and disconnection.
+   */
+  reset() {
+    this.aliases.clear();
+  }
+
+  /**
+   * Applies an alias to a publish, assigning one if possible.
+   * The first publish to a topic sends both topic and alias; later ones at
+   * QoS 0 send just the alias.  A `topicAlias` already in `properties` is
+   * left alone.
+   * @param {string} topic - MQTT topic
+   * @param {Object} [properties] - PUBLISH properties
+   * @param {number} [qos=0] - QoS of publish
+   * @returns {{topic: string, properties: Object}} What to actually publish
+   */
+  apply(topic, properties = {}, qos = 0) {
+    if ('topicAlias' in properties) {
+      return {topic, properties};
+    }
+    // MQTT.js may resend a QoS 1/2 PUBLISH on a new connection, where the
+    // alias means nothing, so those always carry the topic
+    if (this.aliases.has(topic)) {
+      if (qos > 0) {
+        return {
+          topic,
+          properties: Object.assign({}, properties, {
+            topicAlias: this.aliases.get(topic)
+          })
+        };
+      }
+      return {
+        topic: '',
+        properties: Object.assign({}, properties, {
+          topicAlias: this.aliases.get(topic)
+        })
+      };
+    }
+    if (this.aliases.size < this.maximum) {
+      const topicAlias = this.aliases.size + 1;
+      this.aliases.set(topic, topicAlias);
+      return {
+        topic,
+        properties: Object.assign({}, properties, {topicAlias})
+      };
+    }
+    return {topic, properties};
+  }
+}
+
+/**
+ * Collects reason codes from UNSUBACK packets, which MQTT.js doesn't hand to
+ * `unsubscribe()` callbacks.
+ * @private
+ */
+class UnsubackTracker {
+  /**
+   * @param {MqttClient} client - Client
+   */
+  constructor(client) {
+    /**
+     * Topic filters of in-flight UNSUBSCRIBEs, by message ID
+     * @type {Map<number,string[]>}
+     */
+    this.sent = new Map();
+    /**
+     * Reason codes received, by topic filter
+     * @type {Map<string,number>}
+     */
+    this.received = new Map();
+    client
+      .on('packetsend', ({cmd, messageId, unsubscriptions}) => {
+        if (cmd === 'unsubscribe') {
+          this.sent.set(messageId, unsubscriptions);
+        }
+      })
+      .on('packetreceive', ({cmd, messageId, granted = []}) => {
+        // MQTT 3.1.1 UNSUBACKs carry no reason codes
+        if (cmd === 'unsuback' && this.sent.has(messageId)) {
+          this.sent.get(messageId).forEach((topic, i) => {
+            this.received.set(topic, granted[i] || 0);
+          });
+          this.sent.delete(messageId);
+        }
+      });
+  }
+
+  /**
+   * Returns (and forgets) the reason code received for a topic filter.
+   * @param {string} topic - MQTT topic filter
+   * @returns {{topic: string, reasonCode: number, reason: string}}
+   */
+  take(topic) {
+    const reasonCode = this.received.get(topic) || 0;
+    this.received.delete(topic);
+    return {
+      topic,
+      reasonCode,
+      reason: reasonCode ? REASONS[reasonCode] || 'Unknown' : 'Success'
+    };
+  }
+}
+
+exports.FAILURE = FAILURE;
+exports.REASONS = REASONS;
+exports.CONTENT_TYPES = CONTENT_TYPES;
+exports.describeSuback = describeSuback;
+exports.codecForContentType = codecForContentType;
+exports.TopicAliases = TopicAliases;
+exports.UnsubackTracker = UnsubackTracker;
@@ -0,0 +1,354 @@
+'use strict';
+
+const {InvalidArgumentError} = require('./errors');
+
+/**
+ * Names of policies, as options of `publish()`, `subscribe()` and entries of
+ * the `policies` option
+ * @type {string[]}
+ */
+const POLICY_NAMES = ['rateLimit', 'debounce', 'throttle', 'coalesce', 'every'];
+
+/**
+ * What a policy resolves with for a message it drops
+ * @type {Object}
+ */
+const DROPPED = Object.freeze({status: 'dropped'});
+
+/**
+ * What `publish()` resolves with for a message a policy let through
+ * @type {Object}
+ */
+const PUBLISHED = Object.freeze({status: 'published'});
+
+/**
+ * Calls `fn`, catching anything it throws.
+ * @param {Function} fn - Function; may return a `Promise`
+ * @returns {Promise<*>} Result of `fn`
+ */
+const attempt = fn => {
+  try {
+    return Promise.resolve(fn());
+  } catch (err) {
+    return Promise.reject(err);
+  }
+};
+
+/**
+ * Decides, per key (a topic), which messages get through.  Messages let
+ * through at once are handled synchronously.
+ * @private
+ */
+class Policy {
+  constructor() {
+    /**
+     * State by key
+     * @type {Map<string,Object>}
+     */
+    this.state = new Map();
+    /**
+     * When `prune()` last scanned `state`
+     * @type {number}
+     */
+    this.pruned = 0;
+  }
+
+  /**
+   * Submits a message.
+   * @param {string} key - Topic
+   * @param {Function} fn - Handles the message if let through; may return a
+   *   `Promise`
+   * @returns {Promise<*>} Result of `fn`, or `{status: 'dropped'}`
+   */
+  submit(key, fn) {
+    return this.allow(key) ? attempt(fn) : Promise.resolve(DROPPED);
+  }
+
+  /**
+   * @param {string} key - Topic
+   * @returns {boolean} `true` to let a message through now
+   */
+  allow(key) {
+    return true;
+  }
+
+  /**
+   * Forgets the state of keys for which it has expired, so a topic seen
+   * once doesn't linger.  Scans `state` at most once per `period`.
+   * @param {number} now - Current time
+   * @param {number} period - Milliseconds between scans
+   */
+  prune(now, period) {
+    if (now - this.pruned < period) {
+      return;
+    }
+    this.pruned = now;
+    this.state.forEach((entry, key) => {
+      if (this.expired(entry, now)) {
+        this.state.delete(key);
+      }
+    });
+  }
+
+  /**
+   * @param {*} entry - State of a key
+   * @param {number} now - Current time
+   * @returns {boolean} `true` if forgetting `entry` changes nothing
+   */
+  expired(entry, now) {
+    return false;
+  }
+
+  /**
+   * Drops any messages waiting to be let through, and forgets all state.
+   */
+  cancel() {
+    this.state.clear();
+  }
+}
+
+/**
+ * Lets through at most `rate` messages per `interval` (a token bucket
+ * holding up to `burst`), dropping the rest.
+ * @private
+ */
+class RateLimitPolicy extends Policy {
+  /**
+   * @param {Object} opts - Options
+   * @param {number} opts.rate - Messages per interval
+   * @param {number} [opts.interval=1000] - Milliseconds
+   * @param {number} [opts.burst] - Most messages let through at once;
+   *   defaults to `rate`
+   */
+  constructor({rate, interval = 1000, burst = rate}) {
+    super();
+    this.rate = rate;
+    this.interval = interval;
+    this.burst = burst;
+  }
+
+  allow(key) {
+    const now = Date.now();
+    // a bucket refills in this long
+    this.prune(now, this.burst * this.interval / this.rate);
+    const bucket = this.state.get(key) || {tokens: this.burst, updated: now};
+    bucket.tokens = this.refill(bucket, now);
+    bucket.updated = now;
+    this.state.set(key, bucket);
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens--;
+    return true;
+  }
+
+  /**
+   * @param {{tokens: number, updated: number}} bucket - Bucket of a key
+   * @param {number} now - Current time
+   * @returns {number} Tokens in `bucket` by `now`
+   */
+  refill({tokens, updated}, now) {
+    return Math.min(
+      this.burst,
+      tokens + (now - updated) * this.rate / this.interval
+    );
+  }
+
+  // a full bucket is as good as none
+  expired(bucket, now) {
+    return this.refill(bucket, now) >= this.burst;
+  }
+}
+
+/**
+ * Lets through a message, then drops any others for `ms`.
+ * @private
+ */
+class ThrottlePolicy extends Policy {
+  /**
+   * @param {number} ms - Milliseconds
+   */
+  constructor(ms) {
+    super();
+    this.ms = ms;
+  }
+
+  allow(key) {
+    const now = Date.now();
+    this.prune(now, this.ms);
+    if (this.state.has(key) && now - this.state.get(key) < this.ms) {
+      return false;
+    }
+    this.state.set(key, now);
+    return true;
+  }
+
+  expired(updated, now) {
+    return now - updated >= this.ms;
+  }
+}
+
+/**
+ * Lets through every `n`th message, dropping the others.
+ * @private
+ */
+class EveryPolicy extends Policy {
+  /**
+   * @param {number} n - Let through one in this many
+   */
+  constructor(n) {
+    super();
+    this.n = n;
+  }
+
+  allow(key) {
+    const count = (this.state.get(key) || 0) + 1;
+    // a count of 0 is as good as none
+    if (count === this.n) {
+      this.state.delete(key);
+      return true;
+    }
+    this.state.set(key, count);
+    return false;
+  }
+}
+
+/**
+ * Holds a message back, letting it through after `ms` unless superseded by
+ * another, which is then held back in its stead.  With `restart`, each
+ * message waits another `ms` (debouncing); otherwise, the latest message
+ * is let through `ms` after the first (coalescing).
+ * @private
+ */
+class DelayPolicy extends Policy {
+  /**
+   * @param {number} ms - Milliseconds
+   * @param {boolean} restart - `true` to wait anew for each message
+   */
+  constructor(ms, restart) {
+    super();
+    this.ms = ms;
+    this.restart = restart;
+  }
+
+  submit(key, fn) {
+    return new Promise((resolve, reject) => {
+      let waiting = this.state.get(key);
+      if (waiting) {
+        waiting.resolve(DROPPED);
+        if (this.restart) {
+          clearTimeout(waiting.timer);
+          waiting.timer = null;
+        }
+      } else {
+        waiting = {};
+        this.state.set(key, waiting);
+      }
+      Object.assign(waiting, {fn, resolve, reject});
+      if (!waiting.timer) {
+        waiting.timer = setTimeout(() => {
+          this.state.delete(key);
+          attempt(waiting.fn).then(waiting.resolve, waiting.reject);
+        }, this.ms);
+      }
+    });
+  }
+
+  cancel() {
+    this.state.forEach(({timer, resolve}) => {
+      clearTimeout(timer);
+      resolve(DROPPED);
+    });
+    super.cancel();
+  }
+}
+
+/**
+ * Throws unless `value` is a positive number.
+ * @param {string} name - Name of option
+ * @param {*} value - Value
+ */
+const assertPositive = (name, value) => {
+  if (!(typeof value === 'number' && value > 0)) {
+    throw new InvalidArgumentError(name, 'a positive number');
+  }
+};
+
+/**
+ * Picks the policy out of options.
+ * @param {Object} [opts] - Options of `publish()` or `subscribe()`, or an
+ *   entry of the `policies` option
+ * @returns {{name: string, value: *}|null} Policy name and its value, or
+ *   `null` if none
+ */
+const pickPolicy = (opts = {}) => {
+  const names = POLICY_NAMES.filter(name => opts[name] != null);
+  if (names.length > 1) {
+    throw new InvalidArgumentError(
+      'options',
+      `only one of ${POLICY_NAMES.join(', ')}`
+    );
+  }
+  return names.length ? {name: names[0], value: opts[names[0]]} : null;
+};
+
+/**
+ * Creates a `Policy`.
+ * @param {{name: string, value: *}} spec - As returned by `pickPolicy()`:
+ *   `rateLimit` (messages per second, or `{rate, interval, burst}`), or
+ *   `debounce`, `throttle` or `coalesce` (milliseconds), or `every` (count)
+ * @returns {Policy}
+ */
+const createPolicy = ({name, value}) => {
+  switch (name) {
+    case 'rateLimit': {
+      const opts = typeof value === 'number' ? {rate: value} : value || {};
+      assertPositive('rateLimit rate', opts.rate);
+      ['interval', 'burst'].forEach(prop => {
+        if (prop in opts) {
+          assertPositive(`rateLimit ${prop}`, opts[prop]);
+        }
+      });
+      return new RateLimitPolicy(opts);
+    }
+    case 'every':
+      if (!Number.isInteger(value) || value < 1) {
+        throw new InvalidArgumentError('every', 'a positive integer');
+      }
+      return new EveryPolicy(value);
+    case 'throttle':
+      assertPositive(name, value);
+      return new ThrottlePolicy(value);
+    default:
+      assertPositive(name, value);
+      return new DelayPolicy(value, name === 'debounce');
+  }
+};
+
+/**
+ * Converts the `policies` option--an object mapping topic filters to
+ * policy options, e.g., `{'sensors/#': {throttle: 1000}}`--into a list of
+ * entries.
+ * @param {Object<string,Object>} policies - `policies` option
+ * @returns {Array<{filter: string, policy: Policy}>} Entries, in
+ *   declaration order
+ */
+const resolvePolicyMap = policies =>
+  Object.keys(policies).map(filter => {
+    const spec = pickPolicy(policies[filter]);
+    if (!spec) {
+      throw new InvalidArgumentError(
+        `policy for "${filter}"`,
+        `one of ${POLICY_NAMES.join(', ')}`
+      );
+    }
+    return {filter, policy: createPolicy(spec)};
+  });
+
+exports.DROPPED = DROPPED;
+exports.PUBLISHED = PUBLISHED;
+exports.POLICY_NAMES = POLICY_NAMES;
+exports.pickPolicy = pickPolicy;
+exports.createPolicy = createPolicy;
+exports.resolvePolicyMap = resolvePolicyMap;
+exports.Policy = Policy;
@@ -0,0 +1,369 @@
+'use strict';
+
+const fs = require('fs');
+const {Readable} = require('stream');
+const {Store} = require('mqtt');
+const {PublishEvictedError} = require('./errors');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest'];
+
+/**
+ * Publish options worth keeping for a queued message; `localDelivery` is
+ * needed to recognize the message's echo once it's sent
+ * @type {string[]}
+ */
+const PACKET_OPTS = ['qos', 'retain', 'dup', 'properties', 'localDelivery'];
+
+/**
+ * Copies the `PACKET_OPTS` of an object.
+ * @param {Object} obj - Publish options or queued packet
+ * @returns {Object}
+ */
+const pickPacketOpts = obj =>
+  PACKET_OPTS.reduce(
+    (acc, prop) =>
+      prop in obj ? Object.assign(acc, {[prop]: obj[prop]}) : acc,
+    {}
+  );
+
+/**
+ * Promisified `Store#put()`, `Store#del()` etc.
+ * @param {Store} store - Store
+ * @param {string} method - Method name
+ * @param {...*} args - Arguments before the callback
+ * @returns {Promise<*>}
+ */
+const call = (store, method, ...args) =>
+  new Promise((resolve, reject) => {
+    store[method](...args, (err, value) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    });
+  });
+
+/**
+ * Reads every packet in a store, in order.
+ * @param {Store} store - Store
+ * @returns {Promise<Object[]>} Packets
+ */
+const readAll = store =>
+  new Promise((resolve, reject) => {
+    const packets = [];
+    store
+      .createStream()
+      .on('data', packet => {
+        packets.push(packet);
+      })
+      .on('error', reject)
+      .on('end', () => {
+        resolve(packets);
+      });
+  });
+
+/**
+ * A `Store` which persists its packets to a JSON file, so queued messages
+ * survive a restart.
+ * Keeps its own packets rather than relying on `Store`'s internals.
+ * Writes are serialized; callbacks of `put()` and `del()` are called once
+ * the file is written.
+ */
+class FileStore extends Store {
+  /**
+   * Loads any packets previously persisted to `filename`.
+   * @param {string} filename - Path to file; created if missing
+   * @param {Object} [options] - `Store` options
+   */
+  constructor(filename, options = {}) {
+    super(Object.assign({clean: false}, options));
+    this.filename = filename;
+    this.writing = Promise.resolve();
+    /**
+     * Packets by `messageId`, in the order put
+     * @type {Map<number,Object>}
+     */
+    this.packets = new Map();
+    let packets = [];
+    try {
+      packets = JSON.parse(
+        fs.readFileSync(filename, 'utf8'),
+        (key, value) =>
+          value && value.type === 'Buffer' && Array.isArray(value.data)
+            ? Buffer.from(value.data)
+            : value
+      );
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    packets.forEach(packet => {
+      this.packets.set(packet.messageId, packet);
+    });
+  }
+
+  /**
+   * Writes all packets to the file, after any write in progress.
+   * @param {Function} [cb] - Called w/ error, if any
+   */
+  persist(cb = () => {}) {
+    const packets = Array.from(this.packets.values());
+    const tmp = `${this.filename}.tmp`;
+    this.writing = this.writing.then(
+      () =>
+        new Promise(resolve => {
+          fs.writeFile(tmp, JSON.stringify(packets), err => {
+            if (err) {
+              resolve(cb(err));
+              return;
+            }
+            fs.rename(tmp, this.filename, err => {
+              resolve(cb(err));
+            });
+          });
+        })
+    );
+  }
+
+  put(packet, cb) {
+    this.packets.set(packet.messageId, packet);
+    this.persist(cb);
+    return this;
+  }
+
+  get(packet, cb) {
+    const stored = this.packets.get(packet.messageId);
+    if (stored) {
+      cb(null, stored);
+    } else if (cb) {
+      cb(new Error('missing packet'));
+    }
+    return this;
+  }
+
+  del(packet, cb) {
+    const stored = this.packets.get(packet.messageId);
+    if (!stored) {
+      if (cb) {
+        cb(new Error('missing packet'));
+      }
+      return this;
+    }
+    this.packets.delete(packet.messageId);
+    this.persist(err => cb && cb(err, stored));
+    return this;
+  }
+
+  /**
+   * @returns {Readable} Object-mode stream of all packets, in order
+   */
+  createStream() {
+    const packets = Array.from(this.packets.values());
+    return new Readable({
+      objectMode: true,
+      read() {
+        this.push(packets.length ? packets.shift() : null);
+      }
+    });
+  }
+
+  close(cb) {
+    this.writing.then(() => cb && cb());
+  }
+}
+
+/**
+ * Buffers publishes made while the client is offline, persisting them to a
+ * `Store`, and replays them in order once connected.
+ * @private
+ */
+class PublishQueue {
+  /**
+   * @param {MqttClient} client - Patched client
+   * @param {Function} send - Publishes `(topic, payload, opts)` for real;
+   *   returns a `Promise`
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.maxSize=1000] - Max queued messages
+   * @param {number} [opts.maxAge] - Max milliseconds a message may wait;
+   *   unlimited if omitted
+   * @param {string} [opts.overflow='drop-oldest'] - What to drop when full:
+   *   `drop-oldest` or `drop-newest`
+   * @param {Store} [opts.store] - Where to persist queued messages; defaults
+   *   to an in-memory `Store`
+   */
+  constructor(client, send, opts = {}) {
+    const {
+      maxSize = 1000,
+      maxAge,
+      overflow = 'drop-oldest',
+      store = new Store()
+    } = opts;
+    if (OVERFLOW_POLICIES.indexOf(overflow) === -1) {
+      throw new TypeError(
+        `queue overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`
+      );
+    }
+    this.client = client;
+    this.send = send;
+    this.maxSize = maxSize;
+    this.maxAge = maxAge;
+    this.overflow = overflow;
+    this.store = store;
+    /**
+     * Queued packets, oldest first
+     * @type {Object[]}
+     */
+    this.packets = [];
+    /**
+     * Callbacks of publishes waiting on queued packets, by `messageId`
+     * @type {Map<number,{resolve: Function, reject: Function}>}
+     */
+    this.waiting = new Map();
+    this.nextId = 1;
+    this.flushing = false;
+    this.loaded = false;
+    this.ready = readAll(store).then(packets => {
+      this.packets = packets;
+      this.nextId = packets.reduce(
+        (nextId, {messageId}) => Math.max(nextId, messageId + 1),
+        this.nextId
+      );
+      this.loaded = true;
+    });
+  }
+
+  /**
+   * Number of queued messages
+   * @type {number}
+   */
+  get size() {
+    return this.packets.length;
+  }
+
+  /**
+   * `true` if a publish should be queued rather than sent: the client is
+   * offline, or older messages are (or may be, if the store hasn't loaded)
+   * still queued.
+   * @returns {boolean}
+   */
+  shouldQueue() {
+    return !this.loaded || !this.client.connected || this.packets.length > 0;
+  }
+
+  /**
+   * Queues a message, evicting one if full.
+   * @param {string} topic - MQTT topic
+   * @param {string|Buffer} payload - Encoded payload
+   * @param {Object} [opts] - Publish options
+   * @returns {Promise<void>} Fulfills once the message is published; rejects
+   *   if it's evicted
+   */
+  async enqueue(topic, payload, opts = {}) {
+    await this.ready;
+    this.expire();
+    if (this.packets.length >= this.maxSize) {
+      if (this.overflow === 'drop-newest') {
+        throw new PublishEvictedError(topic, 'overflow');
+      }
+      await this.evict(this.packets[0], 'overflow');
+    }
+    const packet = Object.assign(
+      {messageId: this.nextId++, topic, payload, queuedAt: Date.now()},
+      pickPacketOpts(opts)
+    );
+    this.packets.push(packet);
+    const published = new Promise((resolve, reject) => {
+      this.waiting.set(packet.messageId, {resolve, reject});
+    });
+    await call(this.store, 'put', packet);
+    if (this.client.connected) {
+      this.flush();
+    }
+    return published;
+  }
+
+  /**
+   * Removes a packet from the queue and its store, rejecting its publish.
+   * @param {Object} packet - Queued packet
+   * @param {string} reason - `overflow` or `expired`
+   */
+  async evict(packet, reason) {
+    await this.remove(packet);
+    this.settle(packet, new PublishEvictedError(packet.topic, reason));
+  }
+
+  /**
+   * Evicts messages older than `maxAge`.
+   */
+  expire() {
+    if (!this.maxAge) {
+      return;
+    }
+    const oldest = Date.now() - this.maxAge;
+    this.packets.filter(({queuedAt}) => queuedAt < oldest).forEach(packet => {
+      this.evict(packet, 'expired').catch(err => {
+        this.client.emit('error', err);
+      });
+    });
+  }
+
+  /**
+   * Removes a packet from the queue and its store.
+   * @param {Object} packet - Queued packet
+   */
+  async remove(packet) {
+    const index = this.packets.indexOf(packet);
+    if (index !== -1) {
+      this.packets.splice(index, 1);
+      await call(this.store, 'del', packet);
+    }
+  }
+
+  /**
+   * Settles the publish waiting on `packet`, if any.
+   * @param {Object} packet - Queued packet
+   * @param {Error} [err] - Rejects w/ this, if present
+   */
+  settle(packet, err) {
+    const waiting = this.waiting.get(packet.messageId);
+    if (waiting) {
+      this.waiting.delete(packet.messageId);
+      if (err) {
+        waiting.reject(err);
+      } else {
+        waiting.resolve();
+      }
+    }
+  }
+
+  /**
+   * Publishes queued messages in order until the queue is empty, or the
+   * client goes offline.
+   * Errors publishing are emitted by the client; the message stays queued.
+   */
+  async flush() {
+    if (this.flushing) {
+      return;
+    }
+    this.flushing = true;
+    try {
+      await this.ready;
+      this.expire();
+      while (this.packets.length && this.client.connected) {
+        const packet = this.packets[0];
+        await this.send(packet.topic, packet.payload, pickPacketOpts(packet));
+        await this.remove(packet);
+        this.settle(packet);
+      }
+    } catch (err) {
+      this.client.emit('error', err);
+    } finally {
+      this.flushing = false;
+    }
+  }
+}
+
+exports.FileStore = FileStore;
+exports.PublishQueue = PublishQueue;
@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * Associates a user-supplied listener with the function actually registered
+ * for the topic, and the options it was subscribed with.
+ * @typedef {Object} ListenerRecord
+ * @property {Function} listener - Listener as supplied by the user
+ * @property {Function} [wrapper] - Function registered in its stead
+ * @property {Function} [decoder] - Decoder applied to messages
+ * @property {number} [qos] - QoS requested for this listener
+ * @property {boolean} [noEcho] - `true` if the listener ignores messages
+ *   published by this client
+ */
+
+/**
+ * Bookkeeping for a single subscribed topic filter.
+ * Tracks the QoS requested from & granted by the broker, any in-flight
+ * SUBSCRIBE request, and the listeners referencing the filter.
+ * @private
+ */
+class Subscription {
+  /**
+   * @param {string} topic - MQTT topic filter
+   */
+  constructor(topic) {
+    this.topic = topic;
+    /**
+     * Highest QoS requested of the broker; `-1` if never requested
+     * @type {number}
+     */
+    this.requestedQos = -1;
+    /**
+     * QoS granted by the broker; `undefined` until a SUBACK is received
+     * @type {number|void}
+     */
+    this.qos = void 0;
+    /**
+     * `true` if the broker was asked not to send messages published by this
+     * client ("No Local"; MQTT 5 only)
+     * @type {boolean}
+     */
+    this.noLocal = false;
+    /**
+     * Listeners referencing this filter
+     * @type {ListenerRecord[]}
+     */
+    this.listeners = [];
+    /**
+     * In-flight SUBSCRIBE, if any
+     * @type {Promise|null}
+     */
+    this.pending = null;
+  }
+
+  /**
+   * Number of listeners referencing this filter
+   * @type {number}
+   */
+  get refCount() {
+    return this.listeners.length;
+  }
+
+  /**
+   * Adds a listener reference.
+   * @param {Function} listener - Listener as supplied by the user
+   * @param {Object} [props] - Extra properties for the `ListenerRecord`, e.g.,
+   *   `wrapper`, `decoder` and `qos`
+   * @returns {ListenerRecord} New record
+   */
+  addListener(listener, props = {}) {
+    const record = Object.assign({}, props, {listener});
+    this.listeners.push(record);
+    return record;
+  }
+
+  /**
+   * Removes the most recently added reference to `listener`, if present.
+   * @param {Function} listener - Listener as supplied by the user
+   * @returns {ListenerRecord|void} Removed record, if any
+   */
+  removeListener(listener) {
+    for (let i = this.listeners.length - 1; i >= 0; i--) {
+      if (this.listeners[i].listener === listener) {
+        return this.listeners.splice(i, 1).shift();
+      }
+    }
+  }
+
+  /**
+   * Removes a specific `ListenerRecord`, if present.
+   * @param {ListenerRecord} record - Record as returned by `addListener()`
+   * @returns {boolean} `true` if removed
+   */
+  removeRecord(record) {
+    const idx = this.listeners.indexOf(record);
+    if (idx === -1) {
+      return false;
+    }
+    this.listeners.splice(idx, 1);
+    return true;
+  }
+
+  /**
+   * Removes all listener references.
+   * @returns {ListenerRecord[]} Removed records
+   */
+  removeAllListeners() {
+    const records = this.listeners;
+    this.listeners = [];
+    return records;
+  }
+
+  /**
+   * Ensures the broker has been asked for at least QoS `qos` on this filter.
+   * Calls `subscribe` only if the filter has never been subscribed, if a
+   * higher QoS than previously requested is wanted, or if "No Local" must be
+   * turned off for a listener wanting this client's own messages.  "No
+   * Local" is only turned on by the first SUBSCRIBE.  Concurrent calls wait
+   * on any in-flight request before deciding.
+   * @param {number} qos - Desired QoS
+   * @param {Function} subscribe - Function accepting a QoS and "No Local"
+   *   flag, and returning a `Promise` fulfilled with the broker's
+   *   `{topic, qos}` grant
+   * @param {boolean} [noLocal=false] - `true` if the listener doesn't want
+   *   this client's own messages
+   * @returns {Promise<{topic: string, qos: number}>} Current grant
+   */
+  async ensure(qos, subscribe, noLocal = false) {
+    while (this.pending) {
+      try {
+        await this.pending;
+      } catch (ignored) {}
+    }
+    if (qos > this.requestedQos || (this.noLocal && !noLocal)) {
+      const previousQos = this.requestedQos;
+      const previousNoLocal = this.noLocal;
+      this.noLocal = previousQos < 0 ? noLocal : previousNoLocal && noLocal;
+      this.requestedQos = Math.max(qos, previousQos);
+      this.pending = subscribe(this.requestedQos, this.noLocal);
+      try {
+        const granted = await this.pending;
+        if (granted) {
+          this.qos = granted.qos;
+        }
+      } catch (err) {
+        this.requestedQos = previousQos;
+        this.noLocal = previousNoLocal;
+        throw err;
+      } finally {
+        this.pending = null;
+      }
+    }
+    return {topic: this.topic, qos: this.qos};
+  }
+}
+
+/**
+ * Reference-counted registry of topic filters subscribed to by a client.
+ * @private
+ */
+class SubscriptionRegistry {
+  constructor() {
+    /**
+     * @type {Map<string,Subscription>}
+     */
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * @param {string} topic - MQTT topic filter
+   * @returns {boolean} `true` if the filter is registered
+   */
+  has(topic) {
+    return this.subscriptions.has(topic);
+  }
+
+  /**
+   * @param {string} topic - MQTT topic filter
+   * @returns {Subscription|void} Subscription, if registered
+   */
+  get(topic) {
+    return this.subscriptions.get(topic);
+  }
+
+  /**
+   * Retrieves the `Subscription` for `topic`, creating it if necessary.
+   * @param {string} topic - MQTT topic filter
+   * @returns {Subscription}
+   */
+  acquire(topic) {
+    let subscription = this.subscriptions.get(topic);
+    if (!subscription) {
+      subscription = new Subscription(topic);
+      this.subscriptions.set(topic, subscription);
+    }
+    return subscription;
+  }
+
+  /**
+   * Forgets about `topic` entirely.
+   * @param {string} topic - MQTT topic filter
+   * @returns {boolean} `true` if the filter was registered
+   */
+  delete(topic) {
+    return this.subscriptions.delete(topic);
+  }
+
+  /**
+   * Forgets about `topic` if nothing references it anymore.
+   * @param {string} topic - MQTT topic filter
+   * @returns {boolean} `true` if the filter is no longer registered
+   */
+  release(topic) {
+    const subscription = this.subscriptions.get(topic);
+    if (subscription && subscription.refCount) {
+      return false;
+    }
+    this.subscriptions.delete(topic);
+    return true;
+  }
+
+  /**
+   * @returns {Iterator<Subscription>}
+   */
+  [Symbol.iterator]() {
+    return this.subscriptions.values();
+  }
+}
+
+exports.Subscription = Subscription;
+exports.SubscriptionRegistry = SubscriptionRegistry;
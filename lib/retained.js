@@ -0,0 +1,165 @@
+'use strict';
+
+const {EventEmitter} = require('events');
+const {matches, parseSubscription} = require('./topic');
+
+/**
+ * Default milliseconds `getRetained()` waits for another retained message
+ * @type {number}
+ */
+const DEFAULT_TIMEOUT = 100;
+
+/**
+ * Subscribes briefly to collect the retained messages matching a topic
+ * filter.
+ * As brokers don't say how many retained messages they'll send, collection
+ * ends once none has arrived for `opts.timeout` ms.
+ * If the filter is already subscribed, another SUBSCRIBE is sent (via
+ * `resend()`) so the broker sends its retained messages again; the filter's
+ * other listeners will receive them, too.
+ * @param {MqttClient} client - Patched client
+ * @param {string} topic - MQTT topic filter or pattern
+ * @param {Object} [opts] - Options for `subscribe()`, and:
+ * @param {number} [opts.timeout=100] - Milliseconds to wait for another
+ *   retained message
+ * @param {Function} resend - Re-sends the SUBSCRIBE for a subscribed filter
+ * @returns {Promise<Object<string,*>>} Decoded values by topic
+ */
+const getRetained = async (client, topic, opts = {}, resend) => {
+  const {timeout = DEFAULT_TIMEOUT} = opts;
+  const subscribeOpts = Object.assign({}, opts);
+  delete subscribeOpts.timeout;
+  const brokerFilter = parseSubscription(topic).topic;
+  const subscribed = client.registry.has(brokerFilter);
+  const values = {};
+  let restart = () => {};
+  const listener = (message, packet) => {
+    if (packet.retain) {
+      values[packet.topic] = message;
+      restart();
+    }
+  };
+  await client.subscribe(topic, listener, subscribeOpts);
+  try {
+    const quiet = new Promise(resolve => {
+      let timer;
+      restart = () => {
+        clearTimeout(timer);
+        timer = setTimeout(resolve, timeout);
+      };
+      restart();
+    });
+    if (subscribed) {
+      await resend(brokerFilter);
+    }
+    await quiet;
+  } finally {
+    await client.unsubscribe(topic, listener);
+  }
+  return values;
+};
+
+/**
+ * Keeps the latest value of every topic matching a topic filter, starting w/
+ * retained messages.  A message w/ an empty payload (as published by
+ * `clearRetained()`) removes its topic.
+ * Emits `change` w/ topic and value, and `delete` w/ topic.
+ */
+class RetainedCache extends EventEmitter {
+  /**
+   * Call `open()` to start.
+   * @param {MqttClient} client - Patched client
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `subscribe()`
+   */
+  constructor(client, topic, opts = {}) {
+    super();
+    this.client = client;
+    this.topic = topic;
+    this.opts = opts;
+    /**
+     * Latest values by topic
+     * @type {Map<string,*>}
+     */
+    this.values = new Map();
+    const {filter} = parseSubscription(topic);
+    this.listener = (message, packet) => {
+      if (packet.payload.length) {
+        this.values.set(packet.topic, message);
+        this.emit('change', packet.topic, message);
+      }
+    };
+    // empty payloads might not survive decoding, so look at them raw
+    this.onMessage = (topic, payload) => {
+      if (
+        !payload.length &&
+        matches(filter, topic) &&
+        this.values.delete(topic)
+      ) {
+        this.emit('delete', topic);
+      }
+    };
+  }
+
+  /**
+   * Number of topics cached
+   * @type {number}
+   */
+  get size() {
+    return this.values.size;
+  }
+
+  /**
+   * Subscribes.
+   * @returns {Promise<RetainedCache>} This cache
+   */
+  async open() {
+    this.client.on('message', this.onMessage);
+    try {
+      await this.client.subscribe(this.topic, this.listener, this.opts);
+    } catch (err) {
+      this.client.removeListener('message', this.onMessage);
+      throw err;
+    }
+    return this;
+  }
+
+  /**
+   * Returns the latest value of a topic.
+   * @param {string} topic - Topic
+   * @returns {*} Decoded value, or `undefined` if none
+   */
+  get(topic) {
+    return this.values.get(topic);
+  }
+
+  /**
+   * @param {string} topic - Topic
+   * @returns {boolean} `true` if `topic` has a value
+   */
+  has(topic) {
+    return this.values.has(topic);
+  }
+
+  /**
+   * @returns {Object<string,*>} Latest values by topic
+   */
+  toJSON() {
+    return Array.from(this.values).reduce(
+      (acc, [topic, value]) => Object.assign(acc, {[topic]: value}),
+      {}
+    );
+  }
+
+  /**
+   * Stops updating; unsubscribes if this was the filter's last listener.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.client.removeListener('message', this.onMessage);
+    await this.client.unsubscribe(this.topic, this.listener);
+  }
+}
+
+exports.getRetained = getRetained;
+exports.RetainedCache = RetainedCache;
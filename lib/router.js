@@ -0,0 +1,194 @@
+'use strict';
+
+const {matches, parsePattern, extractParams} = require('./topic');
+
+/**
+ * State of a single received message as it passes through middleware.
+ * Middleware may reassign `topic` or `payload` (a `Buffer`) to change what
+ * listeners receive, or assign `message` to hand listeners a value directly,
+ * bypassing their decoders.
+ * @private
+ */
+class Context {
+  /**
+   * @param {Object} opts - Options
+   * @param {string} opts.topic - Topic of received message
+   * @param {Buffer} opts.payload - Raw payload
+   * @param {Object} opts.packet - Raw packet
+   * @param {Function} opts.decoder - Decoder used to compute `message`
+   * @param {boolean} [opts.echo=false] - `true` if this client published the
+   *   message
+   */
+  constructor({topic, payload, packet, decoder, echo = false}) {
+    this.topic = topic;
+    this.payload = payload;
+    this.packet = packet;
+    this.decoder = decoder;
+    /**
+     * `true` if this client published the message: it's the broker's echo,
+     * or was delivered locally
+     * @type {boolean}
+     */
+    this.echo = echo;
+    /**
+     * Values of named levels of the matching route, if any
+     * @type {Object<string,string>}
+     */
+    this.params = {};
+    /**
+     * `true` if middleware assigned `message`
+     * @type {boolean}
+     */
+    this.messageAssigned = false;
+    this._message = void 0;
+    this._decodedPayload = void 0;
+  }
+
+  /**
+   * Payload decoded with the default decoder (decoded at most once per
+   * payload), or whatever value middleware assigned
+   * @type {*}
+   */
+  get message() {
+    if (this.messageAssigned) {
+      return this._message;
+    }
+    if (this._decodedPayload !== this.payload) {
+      this._message = this.decoder(this.payload);
+      this._decodedPayload = this.payload;
+    }
+    return this._message;
+  }
+
+  set message(value) {
+    this.messageAssigned = true;
+    this._message = value;
+  }
+}
+
+/**
+ * Middleware which only runs for messages matching a topic filter or
+ * pattern.
+ * @private
+ */
+class Route {
+  /**
+   * @param {string} pattern - MQTT topic filter or Express-style pattern
+   */
+  constructor(pattern) {
+    const {filter, params} = parsePattern(pattern);
+    this.filter = filter;
+    this.params = params;
+    /**
+     * @type {Function[]}
+     */
+    this.stack = [];
+  }
+
+  /**
+   * Adds middleware to this route.
+   * @param {...Function} fns - Middleware functions; called with a `Context`
+   *   and `next()`
+   * @returns {Route}
+   */
+  use(...fns) {
+    fns.forEach(fn => {
+      if (typeof fn !== 'function') {
+        throw new TypeError('middleware must be a function');
+      }
+      this.stack.push(fn);
+    });
+    return this;
+  }
+}
+
+/**
+ * Ordered stack of middleware run on each received message before any topic
+ * listeners.
+ * Middleware is called with a `Context` and a `next()` function; call
+ * `next()` to continue (it returns a `Promise`), or don't, to stop the
+ * message from reaching listeners.
+ * @private
+ */
+class Router {
+  constructor() {
+    /**
+     * Functions & `Route`s, in order of registration
+     * @type {Array<Function|Route>}
+     */
+    this.stack = [];
+  }
+
+  /**
+   * Adds middleware which runs for every message.
+   * @param {...Function} fns - Middleware functions
+   * @returns {Router}
+   */
+  use(...fns) {
+    fns.forEach(fn => {
+      if (typeof fn !== 'function') {
+        throw new TypeError('middleware must be a function');
+      }
+      this.stack.push(fn);
+    });
+    return this;
+  }
+
+  /**
+   * Creates a `Route` at this position in the stack.
+   * @param {string} pattern - MQTT topic filter or Express-style pattern
+   * @returns {Route}
+   */
+  route(pattern) {
+    const route = new Route(pattern);
+    this.stack.push(route);
+    return route;
+  }
+
+  /**
+   * Runs `ctx` through the stack, then calls `done` unless some middleware
+   * declined to call `next()`.  If all middleware calls `next()`
+   * synchronously, `done` is called synchronously as well.
+   * @param {Context} ctx - Context
+   * @param {Function} done - Called w/ `ctx` at the end of the stack
+   * @returns {Promise<void>} Rejects if any middleware throws or rejects
+   */
+  handle(ctx, done) {
+    const layers = this.stack.reduce(
+      (acc, layer) =>
+        acc.concat(
+          layer instanceof Route
+            ? layer.stack.map(fn => ({route: layer, fn}))
+            : [{fn: layer}]
+        ),
+      []
+    );
+    let index = -1;
+    const dispatch = i => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      index = i;
+      if (i === layers.length) {
+        return Promise.resolve(done(ctx));
+      }
+      const {route, fn} = layers[i];
+      if (route) {
+        if (!matches(route.filter, ctx.topic)) {
+          return dispatch(i + 1);
+        }
+        ctx.params = extractParams(route.params, ctx.topic);
+      }
+      return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+    };
+    try {
+      return dispatch(0);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+}
+
+exports.Context = Context;
+exports.Route = Route;
+exports.Router = Router;
@@ -0,0 +1,321 @@
+'use strict';
+
+const crypto = require('crypto');
+const {InvalidArgumentError, RequestTimeoutError} = require('./errors');
+
+const DEFAULT_TIMEOUT = 10000;
+
+const DEFAULT_RESPONSE_PREFIX = 'mqttletoad/replies';
+
+/**
+ * Converts an `Error` into something which survives JSON serialization.
+ * @param {Error} err - Error thrown by a handler
+ * @returns {{name: string, message: string, code: *}}
+ */
+const serializeError = (err = {}) => ({
+  name: err.name || 'Error',
+  message: err.message || String(err),
+  code: err.code
+});
+
+/**
+ * Converts a serialized error back into an `Error`.
+ * @param {{name: string, message: string, code: *}} obj - Serialized error
+ * @returns {Error}
+ */
+const deserializeError = ({name, message, code}) =>
+  Object.assign(new Error(message), {name, code, remote: true});
+
+/**
+ * Encodes a payload for an envelope: w/ the configured encoder, then as
+ * base64, so the output of any codec survives JSON.
+ * @param {{encode: Function}} codec - Encodes as `publish()` would
+ * @param {string} topic - Topic of request
+ * @param {*} payload - Payload; `undefined` is left out of the envelope
+ * @param {Object} opts - Options w/ any `encoder`
+ * @returns {string|void} Encoded payload
+ */
+const pack = (codec, topic, payload, opts) =>
+  payload === undefined
+    ? undefined
+    : Buffer.from(codec.encode(topic, payload, opts)).toString('base64');
+
+/**
+ * Decodes a payload packed by `pack()`.
+ * @param {{decode: Function}} codec - Decodes as `subscribe()` would
+ * @param {string} topic - Topic of request
+ * @param {string} [body] - Encoded payload
+ * @param {Object} packet - Received packet carrying the envelope
+ * @param {Object} opts - Options w/ any `decoder`
+ * @returns {*} Payload
+ */
+const unpack = (codec, topic, body, packet, opts) =>
+  body === undefined
+    ? undefined
+    : codec.decode(topic, Buffer.from(body, 'base64'), packet, opts);
+
+/**
+ * Keeps track of outstanding requests made by a client, and of the topics
+ * on which their responses are expected.
+ * Requests are published as JSON envelopes of the form
+ * `{correlationId, responseTopic, payload}`; responses are published to
+ * `responseTopic` as `{correlationId, payload}` or
+ * `{correlationId, error}`.  Both payloads are encoded by the codec of the
+ * request's topic (see `pack()`).
+ * @private
+ */
+class Requester {
+  /**
+   * @param {MqttClient} client - Patched client
+   * @param {{encode: Function, decode: Function}} codec - Encodes and
+   *   decodes payloads as `publish()` and `subscribe()` would
+   */
+  constructor(client, codec) {
+    this.client = client;
+    this.codec = codec;
+    /**
+     * Outstanding requests keyed by correlation ID
+     * @type {Map<string,{resolve: Function, reject: Function, timer: *, responseTopic: string}>}
+     */
+    this.pending = new Map();
+    /**
+     * Subscriptions to response topics, keyed by topic
+     * @type {Map<string,Promise>}
+     */
+    this.responseTopics = new Map();
+    /**
+     * Shared listener for all response topics
+     * @type {Function}
+     */
+    this.listener = (response, packet) => {
+      this.settle(response, packet);
+    };
+
+    client.on('close', () => {
+      this.rejectAll(new Error('client disconnected'));
+    });
+  }
+
+  /**
+   * Response topic used when none is specified
+   * @type {string}
+   */
+  get defaultResponseTopic() {
+    return `${DEFAULT_RESPONSE_PREFIX}/${this.client.options.clientId}`;
+  }
+
+  /**
+   * Subscribes to `responseTopic`, unless already subscribed.
+   * @param {string} responseTopic - Topic
+   * @param {number} qos - QoS
+   * @returns {Promise<void>}
+   */
+  async listen(responseTopic, qos) {
+    if (!this.responseTopics.has(responseTopic)) {
+      const subscribed = this.client.subscribe(responseTopic, this.listener, {
+        decoder: 'json',
+        schema: null,
+        qos
+      });
+      this.responseTopics.set(responseTopic, subscribed);
+      try {
+        await subscribed;
+      } catch (err) {
+        this.responseTopics.delete(responseTopic);
+        throw err;
+      }
+    }
+    return this.responseTopics.get(responseTopic);
+  }
+
+  /**
+   * Unsubscribes from a non-default `responseTopic` once no outstanding
+   * request expects a response on it.
+   * @param {string} responseTopic - Topic
+   */
+  release(responseTopic) {
+    if (
+      responseTopic === this.defaultResponseTopic ||
+      !this.responseTopics.has(responseTopic)
+    ) {
+      return;
+    }
+    for (const entry of this.pending.values()) {
+      if (entry.responseTopic === responseTopic) {
+        return;
+      }
+    }
+    this.responseTopics.delete(responseTopic);
+    this.client.unsubscribe(responseTopic, this.listener).catch(err => {
+      this.client.emit('error', err);
+    });
+  }
+
+  /**
+   * Publishes a request and waits for its response.
+   * @param {string} topic - Topic to publish request to
+   * @param {*} payload - Request payload
+   * @param {Object} [opts] - Options
+   * @param {number} [opts.timeout=10000] - Milliseconds to wait for response
+   * @param {string} [opts.responseTopic] - Topic to receive response on;
+   *   defaults to a topic unique to this client
+   * @param {number} [opts.qos=0] - QoS of request and response subscription
+   * @param {string|Function} [opts.encoder] - Encoder of request payload
+   * @param {string|Function} [opts.decoder] - Decoder of response payload
+   * @param {Object} [opts.schema] - JSON Schema of request payload
+   * @returns {Promise<*>} Response payload
+   */
+  async request(topic, payload, opts = {}) {
+    const {
+      timeout = DEFAULT_TIMEOUT,
+      responseTopic = this.defaultResponseTopic,
+      qos = 0
+    } = opts;
+    const body = pack(this.codec, topic, payload, opts);
+    await this.listen(responseTopic, qos);
+    const correlationId = crypto.randomBytes(8).toString('hex');
+    const response = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.settle({
+          correlationId,
+          error: new RequestTimeoutError(topic, timeout)
+        });
+      }, timeout);
+      this.pending.set(correlationId, {
+        resolve,
+        reject,
+        timer,
+        responseTopic,
+        topic,
+        opts
+      });
+    });
+    try {
+      await this.client.publish(
+        topic,
+        {correlationId, responseTopic, payload: body},
+        {encoder: 'json', schema: null, qos, policies: false}
+      );
+    } catch (err) {
+      this.settle({correlationId, error: err});
+    }
+    return response;
+  }
+
+  /**
+   * Settles the outstanding request a response belongs to, if any.
+   * @param {Object} response - Response envelope
+   * @param {string} response.correlationId - ID of request
+   * @param {string} [response.payload] - Encoded response payload
+   * @param {Error|Object} [response.error] - Error, or serialized error
+   * @param {Object} [packet] - Received packet carrying the response
+   */
+  settle(response, packet = {}) {
+    const entry = response && this.pending.get(response.correlationId);
+    if (!entry) {
+      return;
+    }
+    const {resolve, reject, timer, responseTopic, topic, opts} = entry;
+    clearTimeout(timer);
+    this.pending.delete(response.correlationId);
+    this.release(responseTopic);
+    if (response.error) {
+      reject(
+        response.error instanceof Error
+          ? response.error
+          : deserializeError(response.error)
+      );
+      return;
+    }
+    try {
+      resolve(
+        unpack(
+          this.codec,
+          topic,
+          response.payload,
+          packet,
+          Object.assign({}, opts, {schema: null})
+        )
+      );
+    } catch (err) {
+      reject(err);
+    }
+  }
+
+  /**
+   * Rejects all outstanding requests.
+   * @param {Error} err - Rejection reason
+   */
+  rejectAll(err) {
+    Array.from(this.pending.keys()).forEach(correlationId => {
+      this.settle({correlationId, error: err});
+    });
+  }
+}
+
+/**
+ * Subscribes a handler which responds to requests made via
+ * `Requester#request()`.  The handler's return value (or fulfillment value)
+ * is published to the requester's response topic; if it throws (or
+ * rejects), or its payload can't be decoded, the error is serialized and
+ * published instead.
+ * @param {MqttClient} client - Patched client
+ * @param {string} topic - MQTT topic filter or pattern
+ * @param {Function} handler - Called w/ request `payload`, raw `packet` and
+ *   `params`
+ * @param {Object} opts - Options for `subscribe()`; `qos` also applies to
+ *   responses, `decoder` to requests and `encoder` to responses
+ * @param {{encode: Function, decode: Function}} codec - Encodes and decodes
+ *   payloads as `publish()` and `subscribe()` would
+ * @returns {Promise<{topic: string, qos: number}>} Result of subscription
+ */
+const respond = (client, topic, handler, opts, codec) => {
+  if (typeof handler !== 'function') {
+    return Promise.reject(new InvalidArgumentError('handler', 'a function'));
+  }
+  const {qos = 0} = opts;
+  return client.subscribe(
+    topic,
+    (request, packet, params) => {
+      if (!request || !request.correlationId || !request.responseTopic) {
+        return;
+      }
+      const {correlationId, responseTopic} = request;
+      Promise.resolve()
+        .then(() =>
+          handler(
+            unpack(codec, packet.topic, request.payload, packet, opts),
+            packet,
+            params
+          )
+        )
+        .then(payload =>
+          pack(
+            codec,
+            packet.topic,
+            payload,
+            Object.assign({}, opts, {schema: null})
+          )
+        )
+        .then(
+          body => ({correlationId, payload: body}),
+          err => ({correlationId, error: serializeError(err)})
+        )
+        .then(response =>
+          client.publish(responseTopic, response, {
+            encoder: 'json',
+            schema: null,
+            qos,
+            policies: false
+          })
+        )
+        .catch(err => {
+          client.emit('error', err);
+        });
+    },
+    Object.assign({}, opts, {decoder: 'json', schema: null})
+  );
+};
+
+exports.Requester = Requester;
+exports.respond = respond;
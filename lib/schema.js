@@ -0,0 +1,145 @@
+'use strict';
+
+const {ValidationError} = require('./errors');
+
+/**
+ * Describes why a value does not conform to a schema.
+ * @typedef {Object} SchemaViolation
+ * @property {string} path - JSON-pointer-ish path to offending value (`''`
+ *   is the value itself)
+ * @property {string} keyword - Schema keyword which failed
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @param {*} value - Any value
+ * @returns {string} JSON-Schema type name of `value`
+ */
+const typeOf = value => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+/**
+ * @param {string} type - JSON-Schema type name
+ * @param {*} value - Any value
+ * @returns {boolean} `true` if `value` is of `type`
+ */
+const isType = (type, value) =>
+  type === 'integer'
+    ? Number.isInteger(value)
+    : type === 'number'
+      ? typeof value === 'number' && !Number.isNaN(value)
+      : typeOf(value) === type;
+
+/**
+ * Minimal JSON Schema validator.
+ * Supports `type`, `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `minimum`,
+ * `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`,
+ * `maxLength` and `pattern`.  Anything fancier calls for a real validator;
+ * see the `validator` option of `connect()`.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [path] - Path to `value` (used in recursion)
+ * @returns {SchemaViolation[]} Violations; empty if `value` is valid
+ */
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const fail = (keyword, message) => {
+    errors.push({path, keyword, message});
+  };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(type, value))) {
+      fail('type', `should be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (
+    schema.enum &&
+    !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))
+  ) {
+    fail('enum', `should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (
+    'const' in schema &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  ) {
+    fail('const', `should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if ('minimum' in schema && value < schema.minimum) {
+      fail('minimum', `should be >= ${schema.minimum}`);
+    }
+    if ('maximum' in schema && value > schema.maximum) {
+      fail('maximum', `should be <= ${schema.maximum}`);
+    }
+    if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `should be > ${schema.exclusiveMinimum}`);
+    }
+    if ('exclusiveMaximum' in schema && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `should be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if ('minLength' in schema && value.length < schema.minLength) {
+      fail('minLength', `should have length >= ${schema.minLength}`);
+    }
+    if ('maxLength' in schema && value.length > schema.maxLength) {
+      fail('maxLength', `should have length <= ${schema.maxLength}`);
+    }
+    if ('pattern' in schema && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `should match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if ('minItems' in schema && value.length < schema.minItems) {
+      fail('minItems', `should have >= ${schema.minItems} items`);
+    }
+    if ('maxItems' in schema && value.length > schema.maxItems) {
+      fail('maxItems', `should have <= ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        errors.push(...validate(schema.items, item, `${path}/${idx}`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        fail('required', `should have property "${key}"`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (key in properties) {
+        errors.push(...validate(properties[key], value[key], `${path}/${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail('additionalProperties', `should not have property "${key}"`);
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        errors.push(
+          ...validate(schema.additionalProperties, value[key], `${path}/${key}`)
+        );
+      }
+    });
+  }
+
+  return errors;
+};
+
+exports.ValidationError = ValidationError;
+exports.validate = validate;
@@ -0,0 +1,195 @@
+'use strict';
+
+const {InvalidArgumentError, InvalidTopicError} = require('./errors');
+const {parseShared, validateTopic} = require('./topic');
+
+/**
+ * Throws unless `prefix` can prefix topics: a valid topic name w/o levels
+ * which would read as named parameters.
+ * @param {string} prefix - Prefix
+ * @throws {InvalidTopicError}
+ */
+const validatePrefix = prefix => {
+  validateTopic(prefix);
+  if (prefix.split('/').some(level => /^[:*]./.test(level))) {
+    throw new InvalidTopicError(
+      prefix,
+      'must not contain named parameters',
+      'topic prefix'
+    );
+  }
+};
+
+/**
+ * A view of a client which prefixes the topics and filters it's given, and
+ * strips the prefix from the topics of received messages.  Keeps track of
+ * the listeners it adds, so `end()` removes just those.
+ * Create via `client.scope()`.
+ */
+class Scope {
+  /**
+   * @param {MqttClient} client - Patched client
+   * @param {string} prefix - Topic prefix, w/o trailing `/`
+   * @param {Scope} [parent] - Scope this one was created from
+   */
+  constructor(client, prefix, parent = null) {
+    if (typeof prefix !== 'string') {
+      throw new InvalidArgumentError('prefix', 'a string');
+    }
+    validatePrefix(prefix);
+    this.client = client;
+    this.prefix = prefix;
+    this.parent = parent;
+    /**
+     * Listeners added via this scope
+     * @type {Array<{topic: string, listener: Function, wrapper: Function}>}
+     */
+    this.records = [];
+    /**
+     * Scopes created from this one
+     * @type {Set<Scope>}
+     */
+    this.children = new Set();
+  }
+
+  /**
+   * Prefixes a topic, filter or pattern.  A shared subscription's
+   * `$share/<group>/` or `$queue/` stays in front.
+   * @param {string} topic - Topic relative to this scope
+   * @returns {string} Full topic
+   */
+  resolve(topic) {
+    if (typeof topic !== 'string') {
+      throw new InvalidArgumentError('topic', 'a string');
+    }
+    const {prefix, filter} = parseShared(topic);
+    return `${prefix}${this.prefix}/${filter}`;
+  }
+
+  /**
+   * Strips this scope's prefix from a received packet's topic.
+   * @param {Object} packet - Received PUBLISH packet
+   * @returns {Object} Copy of `packet` w/ relative `topic`
+   */
+  relativize(packet) {
+    const {topic} = packet;
+    return Object.assign({}, packet, {
+      topic: topic.startsWith(`${this.prefix}/`)
+        ? topic.slice(this.prefix.length + 1)
+        : topic === this.prefix ? '' : topic
+    });
+  }
+
+  /**
+   * Publishes a message to a topic within this scope.
+   * @param {string} topic - Relative MQTT topic
+   * @param {*} message - Message
+   * @param {Object} [opts] - Options for `publish()`
+   * @returns {Promise<void>}
+   */
+  async publish(topic, message, opts) {
+    return this.client.publish(this.resolve(topic), message, opts);
+  }
+
+  /**
+   * Subscribes to a topic within this scope.  The listener receives packets
+   * w/ relative topics.
+   * @param {string} topic - Relative MQTT topic filter or pattern
+   * @param {Function} listener - Listener function, as for `subscribe()`
+   * @param {Object} [opts] - Options for `subscribe()`
+   * @returns {Promise<{topic: string, qos: number}>} As `subscribe()`; the
+   *   topic is the full filter subscribed to
+   */
+  async subscribe(topic, listener, opts) {
+    if (typeof listener !== 'function') {
+      throw new InvalidArgumentError('listener', 'a function');
+    }
+    const record = {
+      topic: this.resolve(topic),
+      listener,
+      wrapper: (message, packet, params) =>
+        listener(message, this.relativize(packet), params)
+    };
+    this.records.push(record);
+    try {
+      return await this.client.subscribe(record.topic, record.wrapper, opts);
+    } catch (err) {
+      this.records.splice(this.records.indexOf(record), 1);
+      throw err;
+    }
+  }
+
+  /**
+   * Removes listeners added via this scope; others are left alone.
+   * @param {string} topic - Relative MQTT topic filter or pattern, as given
+   *   to `subscribe()`
+   * @param {Function} [listener] - Listener to remove; if omitted, all of
+   *   this scope's listeners for `topic` are removed
+   * @returns {Promise<boolean>} `true` if unsubscribed at the broker
+   */
+  async unsubscribe(topic, listener) {
+    const full = this.resolve(topic);
+    const records = this.records.filter(
+      record =>
+        record.topic === full && (!listener || record.listener === listener)
+    );
+    let unsubscribed = false;
+    for (const record of records) {
+      this.records.splice(this.records.indexOf(record), 1);
+      unsubscribed =
+        (await this.client.unsubscribe(record.topic, record.wrapper)) ||
+        unsubscribed;
+    }
+    return unsubscribed;
+  }
+
+  /**
+   * Waits for the next message on a topic within this scope.  `predicate`
+   * receives packets w/ relative topics.
+   * @param {string} topic - Relative MQTT topic filter or pattern
+   * @param {Function} [predicate] - As for `waitFor()`
+   * @param {Object} [opts] - Options for `waitFor()`
+   * @returns {Promise<*>} Decoded message
+   */
+  async waitFor(topic, predicate, opts) {
+    if (typeof predicate === 'function') {
+      const accept = predicate;
+      predicate = (message, packet, params) =>
+        accept(message, this.relativize(packet), params);
+    }
+    return this.client.waitFor(this.resolve(topic), predicate, opts);
+  }
+
+  /**
+   * Creates a scope within this one.
+   * @param {string} prefix - Prefix, relative to this scope
+   * @returns {Scope}
+   */
+  scope(prefix) {
+    if (typeof prefix !== 'string') {
+      throw new InvalidArgumentError('prefix', 'a string');
+    }
+    const scope = new Scope(this.client, `${this.prefix}/${prefix}`, this);
+    this.children.add(scope);
+    return scope;
+  }
+
+  /**
+   * Removes every listener added via this scope and the scopes created from
+   * it, unsubscribing from filters no longer listened to.
+   * @returns {Promise<void>}
+   */
+  async end() {
+    await Promise.all(Array.from(this.children, child => child.end()));
+    const records = this.records;
+    this.records = [];
+    await Promise.all(
+      records.map(({topic, wrapper}) => this.client.unsubscribe(topic, wrapper))
+    );
+    if (this.parent) {
+      this.parent.children.delete(this);
+    }
+  }
+}
+
+exports.Scope = Scope;
@@ -0,0 +1,236 @@
+'use strict';
+
+const {Readable, Writable} = require('stream');
+
+const asyncIterator =
+  Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+const DEFAULT_HIGH_WATER_MARK = 16;
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'pause'];
+
+/**
+ * Async iterator of messages received on a topic.
+ * Messages are buffered (up to `highWaterMark`) until consumed; what happens
+ * when the buffer is full depends on the `overflow` policy:
+ * - `drop-oldest` - discard the oldest buffered message
+ * - `drop-newest` - discard the message just received
+ * - `pause` - pause the client's underlying stream (i.e., stop reading
+ *   *any* messages) until the buffer drains
+ * @private
+ */
+class MessageIterator {
+  /**
+   * @param {MqttClient} client - Patched client
+   * @param {string} topic - MQTT topic filter or pattern
+   * @param {Object} [opts] - Options for `subscribe()`, and:
+   * @param {number} [opts.highWaterMark=16] - Max buffered messages
+   * @param {string} [opts.overflow='drop-oldest'] - Overflow policy
+   */
+  constructor(client, topic, opts = {}) {
+    const {
+      highWaterMark = DEFAULT_HIGH_WATER_MARK,
+      overflow = 'drop-oldest'
+    } = opts;
+    const subscribeOpts = Object.assign({}, opts);
+    delete subscribeOpts.highWaterMark;
+    delete subscribeOpts.overflow;
+    if (OVERFLOW_POLICIES.indexOf(overflow) === -1) {
+      throw new TypeError(
+        `overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`
+      );
+    }
+    this.client = client;
+    this.topic = topic;
+    this.highWaterMark = highWaterMark;
+    this.overflow = overflow;
+    this.buffer = [];
+    this.waiting = [];
+    this.done = false;
+    // settles once done, so we never wait on a subscription the client
+    // abandoned (MQTT.js won't call back if it ends mid-SUBSCRIBE)
+    this.closed = new Promise(resolve => {
+      this.close = resolve;
+    });
+    /**
+     * Stream paused by the `pause` overflow policy, if any
+     * @type {Stream|null}
+     */
+    this.pausedStream = null;
+    this.listener = (message, packet, params) => {
+      this.push({
+        topic: packet.topic,
+        message,
+        packet,
+        params,
+        properties: packet.properties
+      });
+    };
+    // iteration survives reconnections, but not `end()`
+    this.onClose = () => {
+      if (client.disconnecting) {
+        this.return();
+      }
+    };
+    client.on('close', this.onClose);
+    this.subscribed = client.subscribe(topic, this.listener, subscribeOpts);
+    // a failed subscription is reported via next()
+    this.subscribed.catch(() => {});
+  }
+
+  /**
+   * Buffers a message, or hands it directly to a waiting consumer.
+   * @param {{topic: string, message: *, packet: Object, params: Object, properties: ?Object}} item
+   */
+  push(item) {
+    if (this.done) {
+      return;
+    }
+    if (this.waiting.length) {
+      this.waiting.shift().resolve({value: item, done: false});
+      return;
+    }
+    if (this.buffer.length >= this.highWaterMark) {
+      if (this.overflow === 'drop-newest') {
+        return;
+      }
+      if (this.overflow === 'drop-oldest') {
+        this.buffer.shift();
+      }
+    }
+    this.buffer.push(item);
+    if (
+      this.overflow === 'pause' &&
+      this.buffer.length >= this.highWaterMark &&
+      !this.pausedStream
+    ) {
+      this.pausedStream = this.client.stream;
+      this.pausedStream.pause();
+    }
+  }
+
+  /**
+   * Resumes a stream paused by the `pause` overflow policy, if the buffer
+   * has room.
+   */
+  resume() {
+    if (this.pausedStream && this.buffer.length < this.highWaterMark) {
+      this.pausedStream.resume();
+      this.pausedStream = null;
+    }
+  }
+
+  /**
+   * @returns {Promise<{value: *, done: boolean}>} Next message
+   */
+  async next() {
+    if (!this.done) {
+      try {
+        await Promise.race([this.subscribed, this.closed]);
+      } catch (err) {
+        await this.return();
+        throw err;
+      }
+    }
+    if (this.buffer.length) {
+      const value = this.buffer.shift();
+      this.resume();
+      return {value, done: false};
+    }
+    if (this.done) {
+      return {value: void 0, done: true};
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting.push({resolve, reject});
+    });
+  }
+
+  /**
+   * Stops iteration and removes the listener, unsubscribing if it was the
+   * last one.  Buffered messages are discarded.
+   * @returns {Promise<{value: undefined, done: true}>}
+   */
+  async return() {
+    if (!this.done) {
+      this.done = true;
+      this.close();
+      this.buffer = [];
+      this.resume();
+      this.client.removeListener('close', this.onClose);
+      this.waiting.splice(0).forEach(({resolve}) => {
+        resolve({value: void 0, done: true});
+      });
+      const unsubscribed = this.subscribed.then(() =>
+        this.client.unsubscribe(this.topic, this.listener)
+      );
+      unsubscribed.catch(() => {});
+      if (this.client.connected && !this.client.disconnecting) {
+        try {
+          await unsubscribed;
+        } catch (ignored) {}
+      }
+    }
+    return {value: void 0, done: true};
+  }
+
+  /**
+   * Same as `return()`
+   * @returns {Promise<{value: undefined, done: true}>}
+   */
+  async throw() {
+    return this.return();
+  }
+
+  [asyncIterator]() {
+    return this;
+  }
+}
+
+/**
+ * Creates an object-mode `Readable` of messages received on a topic, backed
+ * by a `MessageIterator`.  Destroying the stream unsubscribes.
+ * @param {MqttClient} client - Patched client
+ * @param {string} topic - MQTT topic filter or pattern
+ * @param {Object} [opts] - Options for `MessageIterator`
+ * @returns {Readable}
+ */
+const createReadStream = (client, topic, opts = {}) => {
+  const iterator = new MessageIterator(client, topic, opts);
+  return new Readable({
+    objectMode: true,
+    highWaterMark: 1,
+    read() {
+      iterator.next().then(
+        ({value, done}) => {
+          this.push(done ? null : value);
+        },
+        err => {
+          this.destroy(err);
+        }
+      );
+    },
+    destroy(err, callback) {
+      iterator.return().then(() => callback(err), callback);
+    }
+  });
+};
+
+/**
+ * Creates an object-mode `Writable` which publishes each chunk written to it
+ * to a topic.
+ * @param {MqttClient} client - Patched client
+ * @param {string} topic - MQTT topic
+ * @param {Object} [opts] - Options for `publish()`
+ * @returns {Writable}
+ */
+const createWriteStream = (client, topic, opts = {}) =>
+  new Writable({
+    objectMode: true,
+    write(message, encoding, callback) {
+      client.publish(topic, message, opts).then(() => callback(), callback);
+    }
+  });
+
+exports.MessageIterator = MessageIterator;
+exports.createReadStream = createReadStream;
+exports.createWriteStream = createWriteStream;
@@ -0,0 +1,193 @@
+'use strict';
+
+const {InvalidArgumentError, InvalidTopicError} = require('./errors');
+
+/**
+ * Max length of a topic, in bytes
+ * @type {number}
+ */
+const MAX_TOPIC_LENGTH = 65535;
+
+/**
+ * Checks what topic filters and names have in common.
+ * @param {string} topic - Topic filter or name
+ * @param {string} kind - `topic filter` or `topic name`
+ */
+const validateString = (topic, kind) => {
+  if (typeof topic !== 'string') {
+    throw new InvalidArgumentError('topic', 'a string');
+  }
+  if (!topic) {
+    throw new InvalidTopicError(topic, 'must not be empty', kind);
+  }
+  if (Buffer.byteLength(topic) > MAX_TOPIC_LENGTH) {
+    throw new InvalidTopicError(
+      topic,
+      `must not exceed ${MAX_TOPIC_LENGTH} bytes`,
+      kind
+    );
+  }
+  if (topic.indexOf('\u0000') !== -1) {
+    throw new InvalidTopicError(topic, 'must not contain null', kind);
+  }
+};
+
+/**
+ * Throws unless a topic filter is valid: `+` must fill a level, and `#` must
+ * fill the last.
+ * @param {string} filter - MQTT topic filter (not shared)
+ * @throws {InvalidTopicError}
+ */
+const validateFilter = filter => {
+  validateString(filter, 'topic filter');
+  const levels = filter.split('/');
+  levels.forEach((level, index) => {
+    if (level.length > 1 && /[+#]/.test(level)) {
+      throw new InvalidTopicError(
+        filter,
+        'wildcards must occupy an entire level'
+      );
+    }
+    if (level === '#' && index !== levels.length - 1) {
+      throw new InvalidTopicError(filter, '"#" must be the last level');
+    }
+  });
+};
+
+/**
+ * Throws unless a topic name (as published to) is valid: it mustn't contain
+ * wildcards.
+ * @param {string} topic - MQTT topic name
+ * @throws {InvalidTopicError}
+ */
+const validateTopic = topic => {
+  validateString(topic, 'topic name');
+  if (/[+#]/.test(topic)) {
+    throw new InvalidTopicError(
+      topic,
+      'must not contain wildcards',
+      'topic name'
+    );
+  }
+};
+
+/**
+ * Parses an Express-style topic pattern, e.g.,
+ * `devices/:deviceId/sensors/:sensor` or `logs/*rest`.
+ * A level of `:name` is a named single-level wildcard (`+`); a final level
+ * of `*name` is a named multi-level wildcard (`#`).  Patterns without named
+ * levels are plain MQTT topic filters and are returned unchanged.
+ * @param {string} pattern - Topic pattern
+ * @returns {{filter: string, params: Array<{name: string, index: number, multi: boolean}>}}
+ *   Equivalent MQTT topic filter and the named levels within it
+ */
+const parsePattern = pattern => {
+  const params = [];
+  const levels = pattern.split('/');
+  const filter = levels
+    .map((level, index) => {
+      if (/^:./.test(level)) {
+        params.push({name: level.slice(1), index, multi: false});
+        return '+';
+      }
+      if (/^\*./.test(level)) {
+        if (index !== levels.length - 1) {
+          throw new TypeError(
+            `multi-level parameter "${level}" must be last in "${pattern}"`
+          );
+        }
+        params.push({name: level.slice(1), index, multi: true});
+        return '#';
+      }
+      return level;
+    })
+    .join('/');
+  return {filter, params};
+};
+
+/**
+ * Splits the `$share/<group>/` or `$queue/` prefix of a shared subscription
+ * from its topic filter.  Messages received via a shared subscription carry
+ * topics matching the bare filter, so that's what local routing must use.
+ * @param {string} topic - MQTT topic filter, possibly shared
+ * @returns {{prefix: string, group: ?string, filter: string}} Prefix (empty
+ *   if not shared), share group name (`null` if not `$share`) and bare filter
+ */
+const parseShared = topic => {
+  const match = /^(?:\$share\/([^/+#]+)|\$queue)\/(.+)$/.exec(topic);
+  if (match) {
+    const [, group = null, filter] = match;
+    return {prefix: topic.slice(0, -filter.length), group, filter};
+  }
+  if (/^\$(share|queue)(\/|$)/.test(topic)) {
+    throw new TypeError(`invalid shared subscription "${topic}"`);
+  }
+  return {prefix: '', group: null, filter: topic};
+};
+
+/**
+ * Parses a topic as given to `subscribe()`: a topic filter or pattern,
+ * possibly shared.
+ * @param {string} topic - Topic filter or pattern
+ * @returns {{topic: string, filter: string, params: Array<{name: string, index: number, multi: boolean}>}}
+ *   Topic filter to subscribe to at the broker, filter to route received
+ *   messages by, and the named levels within it
+ */
+const parseSubscription = topic => {
+  const {prefix, filter: pattern} = parseShared(topic);
+  const {filter, params} = parsePattern(pattern);
+  return {topic: prefix + filter, filter, params};
+};
+
+/**
+ * Extracts values of named levels from a topic.
+ * @param {Array<{name: string, index: number, multi: boolean}>} params -
+ *   Named levels as returned by `parsePattern()`
+ * @param {string} topic - Topic of a received message
+ * @returns {Object<string,string>} Values keyed by name
+ */
+const extractParams = (params, topic) => {
+  const levels = topic.split('/');
+  return params.reduce(
+    (acc, {name, index, multi}) =>
+      Object.assign(acc, {
+        [name]: multi ? levels.slice(index).join('/') : levels[index]
+      }),
+    {}
+  );
+};
+
+/**
+ * Determines whether a topic matches an MQTT topic filter.
+ * Topics beginning with `$` are not matched by a leading wildcard.
+ * @param {string} filter - MQTT topic filter
+ * @param {string} topic - Topic name
+ * @returns {boolean} `true` if `topic` matches `filter`
+ */
+const matches = (filter, topic) => {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  if (topic.startsWith('$') && /^[+#]$/.test(filterLevels[0])) {
+    return false;
+  }
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') {
+      return true;
+    }
+    if (
+      i >= topicLevels.length ||
+      (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])
+    ) {
+      return false;
+    }
+  }
+  return filterLevels.length === topicLevels.length;
+};
+
+exports.validateFilter = validateFilter;
+exports.validateTopic = validateTopic;
+exports.matches = matches;
+exports.parsePattern = parsePattern;
+exports.parseShared = parseShared;
+exports.parseSubscription = parseSubscription;
+exports.extractParams = extractParams;
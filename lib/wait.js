@@ -0,0 +1,104 @@
+'use strict';
+
+const {WaitTimeoutError} = require('./errors');
+
+/**
+ * Creates the error a `waitFor()` promise rejects with when aborted.
+ * @returns {Error}
+ */
+const abortError = () =>
+  Object.assign(new Error('waitFor() aborted'), {
+    name: 'AbortError',
+    code: 'ABORT_ERR'
+  });
+
+/**
+ * Waits for the first message on `topic` satisfying `predicate`.
+ * The listener is removed (unsubscribing if it was the last one) however
+ * the promise settles.
+ * @param {MqttClient} client - Patched client
+ * @param {string} topic - MQTT topic filter or pattern
+ * @param {Function} [predicate] - Called w/ decoded `message`, raw `packet`
+ *   and `params`; return truthy to accept the message
+ * @param {Object} [opts] - Options for `subscribe()`, and:
+ * @param {number} [opts.timeout] - Milliseconds to wait; waits forever if
+ *   omitted
+ * @param {AbortSignal} [opts.signal] - Rejects when aborted
+ * @returns {Promise<*>} Decoded message
+ */
+const waitFor = (client, topic, predicate = () => true, opts = {}) =>
+  new Promise((resolve, reject) => {
+    const {timeout, signal} = opts;
+    const subscribeOpts = Object.assign({}, opts);
+    delete subscribeOpts.timeout;
+    delete subscribeOpts.signal;
+
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    let timer;
+    let settled = false;
+    let subscribed = false;
+
+    const onClose = () => {
+      finish(new Error('client disconnected'));
+    };
+
+    const onAbort = () => {
+      finish(abortError());
+    };
+
+    const listener = (message, packet, params) => {
+      let accepted;
+      try {
+        accepted = predicate(message, packet, params);
+      } catch (err) {
+        finish(err);
+        return;
+      }
+      if (accepted) {
+        finish(null, message);
+      }
+    };
+
+    const finish = (err, message) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      client.removeListener('close', onClose);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (subscribed) {
+        client.unsubscribe(topic, listener).catch(() => {});
+      }
+      if (err) {
+        reject(err);
+      } else {
+        resolve(message);
+      }
+    };
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        finish(new WaitTimeoutError(topic, timeout));
+      }, timeout);
+    }
+    client.on('close', onClose);
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    client.subscribe(topic, listener, subscribeOpts).then(() => {
+      subscribed = true;
+      // settled while the SUBSCRIBE was in flight
+      if (settled) {
+        client.unsubscribe(topic, listener).catch(() => {});
+      }
+    }, finish);
+  });
+
+exports.waitFor = waitFor;
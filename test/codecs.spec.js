@@ -0,0 +1,109 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const zlib = require('zlib');
+const {registerCodec, resolveCodec} = require('../lib/codecs');
+const decoders = require('../lib/decoders');
+const encoders = require('../lib/encoders');
+
+describe('codecs', function() {
+  describe('registerCodec()', function() {
+    it('should register a named codec', function() {
+      registerCodec('test:reverse', {
+        encode: value =>
+          String(value)
+            .split('')
+            .reverse()
+            .join(''),
+        decode: value =>
+          String(value)
+            .split('')
+            .reverse()
+            .join('')
+      });
+      expect(resolveCodec('test:reverse', 'encode')('abc'), 'to equal', 'cba');
+    });
+
+    it('should reject a duplicate name', function() {
+      expect(
+        () => registerCodec('json', {encode: String, decode: String}),
+        'to throw',
+        /already registered/
+      );
+    });
+
+    it('should reject a codec without a decoder', function() {
+      expect(
+        () => registerCodec('test:encode-only', {encode: String}),
+        'to throw',
+        TypeError
+      );
+    });
+
+    it('should reject a name containing "|"', function() {
+      expect(
+        () => registerCodec('foo|bar', {encode: String, decode: String}),
+        'to throw',
+        TypeError
+      );
+    });
+  });
+
+  describe('resolveCodec()', function() {
+    it('should resolve built-in codecs', function() {
+      expect(resolveCodec('json', 'encode'), 'to be', encoders.json);
+      expect(resolveCodec('json', 'decode'), 'to be', decoders.json);
+    });
+
+    it('should throw on an unknown codec', function() {
+      expect(
+        () => resolveCodec('json|foo', 'encode'),
+        'to throw',
+        /unknown codec "foo"/
+      );
+    });
+
+    describe('when composed', function() {
+      const value = {foo: ['bar', 1]};
+
+      it('should apply encoders left-to-right', function() {
+        const encoded = resolveCodec('json|gzip|base64', 'encode')(value);
+        expect(encoded, 'to be a string');
+        expect(
+          decoders.json(zlib.gunzipSync(Buffer.from(encoded, 'base64'))),
+          'to equal',
+          value
+        );
+      });
+
+      it('should apply decoders right-to-left', function() {
+        const encoded = resolveCodec('json|gzip|base64', 'encode')(value);
+        expect(
+          resolveCodec('json|gzip|base64', 'decode')(Buffer.from(encoded)),
+          'to equal',
+          value
+        );
+      });
+
+      it('should be named after the composition', function() {
+        expect(resolveCodec('json|gzip', 'decode').name, 'to be', 'json|gzip');
+      });
+    });
+  });
+
+  describe('built-in', function() {
+    ['base64', 'binary', 'gzip'].forEach(name => {
+      it(`"${name}" should be its own inverse`, function() {
+        const value = Buffer.from([0x00, 0xff, 0x10]);
+        expect(
+          resolveCodec(name, 'decode')(
+            Buffer.from(resolveCodec(name, 'encode')(value))
+          ),
+          'to equal',
+          value
+        );
+      });
+    });
+  });
+});
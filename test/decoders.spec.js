@@ -2,6 +2,7 @@
 'use strict';
 
 const expect = require('unexpected');
+const zlib = require('zlib');
 const decoders = require('../lib/decoders');
 
 describe('decoders', function() {
@@ -13,9 +14,9 @@ describe('decoders', function() {
   });
 
   describe('base64', function() {
-    it('should convert a base64-encoded string to its value', function() {
+    it('should convert a base64-encoded string to its bytes', function() {
       const value = Buffer.from('bXkgYnVmZmVy');
-      expect(decoders.base64(value), 'to equal', 'my buffer');
+      expect(decoders.base64(value), 'to equal', Buffer.from('my buffer'));
     });
   });
 
@@ -32,4 +33,66 @@ describe('decoders', function() {
       expect(decoders.binary(value), 'to equal', value);
     });
   });
+
+  describe('msgpack', function() {
+    it('should convert MessagePack to its value', function() {
+      const value = Buffer.from([
+        0x81,
+        0xa3,
+        0x66,
+        0x6f,
+        0x6f,
+        0xa3,
+        0x62,
+        0x61,
+        0x72
+      ]);
+      expect(decoders.msgpack(value), 'to equal', {foo: 'bar'});
+    });
+  });
+
+  describe('cbor', function() {
+    it('should convert CBOR to its value', function() {
+      const value = Buffer.from([
+        0xa1,
+        0x63,
+        0x66,
+        0x6f,
+        0x6f,
+        0x63,
+        0x62,
+        0x61,
+        0x72
+      ]);
+      expect(decoders.cbor(value), 'to equal', {foo: 'bar'});
+    });
+  });
+
+  describe('json+gzip', function() {
+    it('should convert gzipped JSON to its value', function() {
+      const value = zlib.gzipSync('{"foo":"bar"}');
+      expect(decoders['json+gzip'](value), 'to equal', {foo: 'bar'});
+    });
+  });
+
+  describe('number', function() {
+    it('should convert a 64-bit float to its value', function() {
+      const value = Buffer.from([0x3f, 0xf8, 0, 0, 0, 0, 0, 0]);
+      expect(decoders.number(value), 'to equal', 1.5);
+    });
+  });
+
+  describe('float32', function() {
+    it('should convert a 32-bit float to its value', function() {
+      const value = Buffer.from([0x3f, 0xc0, 0, 0]);
+      expect(decoders.float32(value), 'to equal', 1.5);
+    });
+  });
+
+  describe('int32', function() {
+    it('should convert a 32-bit signed integer to its value', function() {
+      const value = Buffer.from([0xff, 0xff, 0xff, 0xfe]);
+      expect(decoders.int32(value), 'to equal', -2);
+    });
+  });
 });
@@ -0,0 +1,71 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {EchoFilter, fingerprint} = require('../lib/echo');
+
+describe('echo', function() {
+  describe('fingerprint()', function() {
+    it('should not depend on the payload type', function() {
+      expect(
+        fingerprint('foo', 'bar'),
+        'to be',
+        fingerprint('foo', Buffer.from('bar'))
+      );
+    });
+
+    it('should differ by topic', function() {
+      expect(fingerprint('foo', 'bar'), 'not to be', fingerprint('fo', 'obar'));
+    });
+  });
+
+  describe('EchoFilter', function() {
+    let echoes;
+
+    beforeEach(function() {
+      echoes = new EchoFilter({ttl: 50, maxSize: 2});
+      echoes.listeners = 1;
+    });
+
+    it('should recognize an echo once per publish', function() {
+      echoes.record('foo', 'bar');
+      expect(echoes.take('foo', Buffer.from('bar')), 'to satisfy', {
+        expires: expect.it('to be a number'),
+        delivered: false
+      });
+      expect(echoes.take('foo', Buffer.from('bar')), 'to be undefined');
+    });
+
+    it('should not recognize other messages', function() {
+      echoes.record('foo', 'bar');
+      expect(echoes.take('foo', Buffer.from('baz')), 'to be undefined');
+      expect(echoes.take('foo/bar', Buffer.from('bar')), 'to be undefined');
+    });
+
+    it('should only remember messages delivered locally w/o listeners', function() {
+      echoes.listeners = 0;
+      echoes.record('foo', 'bar');
+      echoes.record('foo', 'baz', true);
+      expect(echoes.size, 'to be', 1);
+      expect(echoes.take('foo', Buffer.from('baz')), 'to satisfy', {
+        delivered: true
+      });
+    });
+
+    it('should forget the oldest message when full', function() {
+      echoes.record('foo', '1');
+      echoes.record('foo', '2');
+      echoes.record('foo', '3');
+      expect(echoes.size, 'to be', 2);
+      expect(echoes.take('foo', Buffer.from('1')), 'to be undefined');
+      expect(echoes.take('foo', Buffer.from('3')), 'to be defined');
+    });
+
+    it('should forget expired messages', async function() {
+      echoes.record('foo', 'bar');
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(echoes.take('foo', Buffer.from('bar')), 'to be undefined');
+      expect(echoes.size, 'to be', 0);
+    });
+  });
+});
@@ -2,7 +2,9 @@
 'use strict';
 
 const expect = require('unexpected');
+const zlib = require('zlib');
 const encoders = require('../lib/encoders');
+const decoders = require('../lib/decoders');
 
 describe('encoders', function() {
   describe('json', function() {
@@ -32,4 +34,79 @@ describe('encoders', function() {
       expect(encoders.binary(value), 'to equal', Buffer.from('your mom'));
     });
   });
+
+  describe('msgpack', function() {
+    it('should convert a value to MessagePack', function() {
+      expect(
+        encoders.msgpack({foo: 'bar'}),
+        'to equal',
+        Buffer.from([0x81, 0xa3, 0x66, 0x6f, 0x6f, 0xa3, 0x62, 0x61, 0x72])
+      );
+    });
+  });
+
+  describe('cbor', function() {
+    it('should convert a value to CBOR', function() {
+      expect(
+        encoders.cbor({foo: 'bar'}),
+        'to equal',
+        Buffer.from([0xa1, 0x63, 0x66, 0x6f, 0x6f, 0x63, 0x62, 0x61, 0x72])
+      );
+    });
+  });
+
+  describe('json+gzip', function() {
+    it('should convert a value to gzipped JSON', function() {
+      expect(
+        zlib.gunzipSync(encoders['json+gzip']({foo: 'bar'})).toString(),
+        'to equal',
+        '{"foo":"bar"}'
+      );
+    });
+  });
+
+  describe('number', function() {
+    it('should convert a value to a 64-bit float', function() {
+      expect(
+        encoders.number(1.5),
+        'to equal',
+        Buffer.from([0x3f, 0xf8, 0, 0, 0, 0, 0, 0])
+      );
+    });
+  });
+
+  describe('float32', function() {
+    it('should convert a value to a 32-bit float', function() {
+      expect(
+        encoders.float32(1.5),
+        'to equal',
+        Buffer.from([0x3f, 0xc0, 0, 0])
+      );
+    });
+  });
+
+  describe('int32', function() {
+    it('should convert a value to a 32-bit signed integer', function() {
+      expect(
+        encoders.int32(-2),
+        'to equal',
+        Buffer.from([0xff, 0xff, 0xff, 0xfe])
+      );
+    });
+  });
+
+  describe('round trip', function() {
+    [
+      ['msgpack', {foo: ['bar', 1, true, null]}],
+      ['cbor', {foo: ['bar', 1, true, null]}],
+      ['json+gzip', {foo: ['bar', 1, true, null]}],
+      ['number', 123.456],
+      ['float32', 1.5],
+      ['int32', -123456]
+    ].forEach(([name, value]) => {
+      it(`should decode what the "${name}" encoder encodes`, function() {
+        expect(decoders[name](encoders[name](value)), 'to equal', value);
+      });
+    });
+  });
 });
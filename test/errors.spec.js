@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {
+  CodecError,
+  ConnectionRefusedError,
+  InvalidArgumentError,
+  InvalidTopicError,
+  MqttletoadError,
+  PublishEvictedError,
+  SubscriptionRejectedError,
+  ValidationError
+} = require('../lib/errors');
+
+describe('errors', function() {
+  describe('MqttletoadError', function() {
+    it('should be the base class of errors w/ stable codes', function() {
+      expect(
+        new SubscriptionRejectedError('foo', 0x80, 'Unspecified error'),
+        'to be a',
+        MqttletoadError
+      ).and('to satisfy', {
+        name: 'SubscriptionRejectedError',
+        code: 'ESUBREJECTED'
+      });
+      expect(new ValidationError([]), 'to be a', MqttletoadError);
+    });
+  });
+
+  describe('PublishEvictedError', function() {
+    it('should describe why the message was evicted', function() {
+      expect(new PublishEvictedError('foo', 'expired'), 'to satisfy', {
+        message: /expired/,
+        code: 'EEVICTED',
+        topic: 'foo',
+        reason: 'expired'
+      });
+      expect(new PublishEvictedError('foo', 'overflow'), 'to satisfy', {
+        message: /queue full/
+      });
+    });
+  });
+
+  describe('ConnectionRefusedError', function() {
+    it('should name MQTT 3.1.1 return codes', function() {
+      expect(new ConnectionRefusedError(4), 'to satisfy', {
+        message: /Bad username or password/,
+        returnCode: 4,
+        reason: 'Bad username or password'
+      });
+    });
+
+    it('should name MQTT 5 reason codes', function() {
+      expect(new ConnectionRefusedError(0x8a), 'to satisfy', {
+        reason: 'Banned'
+      });
+    });
+  });
+
+  describe('CodecError', function() {
+    it('should include the message of its cause', function() {
+      expect(
+        new CodecError({
+          direction: 'decode',
+          codec: 'json',
+          topic: 'foo',
+          cause: new SyntaxError('Unexpected token')
+        }),
+        'to have message',
+        'failed to decode message on "foo" w/ json: Unexpected token'
+      );
+    });
+  });
+
+  describe('InvalidArgumentError', function() {
+    it('should be a TypeError', function() {
+      expect(
+        new InvalidArgumentError('topic', 'a string'),
+        'to be a',
+        TypeError
+      ).and('to satisfy', {
+        name: 'InvalidArgumentError',
+        code: 'EINVALIDARG',
+        argument: 'topic',
+        message: 'invalid topic; expected a string'
+      });
+    });
+  });
+
+  describe('InvalidTopicError', function() {
+    it('should be an InvalidArgumentError', function() {
+      expect(
+        new InvalidTopicError(
+          'foo/+',
+          'must not contain wildcards',
+          'topic name'
+        ),
+        'to be an',
+        InvalidArgumentError
+      ).and('to satisfy', {
+        name: 'InvalidTopicError',
+        code: 'EINVALIDARG',
+        argument: 'topic',
+        topic: 'foo/+',
+        reason: 'must not contain wildcards',
+        message: 'invalid topic name "foo/+": must not contain wildcards'
+      });
+    });
+  });
+});
@@ -6,6 +6,7 @@ const MqttConnection = require('mqtt-connection');
 const MITM = require('mitm');
 const promisify = require('promwrap');
 const stoppable = require('stoppable');
+const {matches} = require('../../lib/topic');
 
 class BaseServer extends Server {
   constructor(listener) {
@@ -47,7 +48,8 @@ exports.Broker = BaseServer;
 exports.createBroker = async ({port, path, mitm, transformers = {}} = {}) => {
   transformers = _.defaults(transformers, {
     connack(...args) {
-      return {returnCode: 0};
+      // MQTT 3.1.1 uses `returnCode`; MQTT 5 `reasonCode`
+      return {returnCode: 0, reasonCode: 0};
     },
     subscribe(packet) {
       return {
@@ -56,13 +58,23 @@ exports.createBroker = async ({port, path, mitm, transformers = {}} = {}) => {
       };
     },
     pingreq: _.noop,
-    unsubscribe: _.identity,
+    unsubscribe(packet) {
+      return {
+        messageId: packet.messageId,
+        granted: packet.unsubscriptions.map(() => 0)
+      };
+    },
     pubrel: _.identity,
     pubrec: _.identity,
     publish: _.identity
   });
 
+  // retained payloads by topic
+  const retained = new Map();
+
   const listener = client => {
+    // topics by alias (MQTT 5)
+    const aliases = new Map();
     client
       .on('connect', (...args) => {
         client.connack(transformers.connack(...args));
@@ -71,7 +83,17 @@ exports.createBroker = async ({port, path, mitm, transformers = {}} = {}) => {
         client.pingresp(transformers.pingreq(...args));
       })
       .on('subscribe', (...args) => {
-        client.suback(transformers.subscribe(...args));
+        const suback = transformers.subscribe(...args);
+        client.suback(suback);
+        args[0].subscriptions.forEach(({topic: filter}, i) => {
+          if (suback.granted[i] < 128) {
+            retained.forEach((payload, topic) => {
+              if (matches(filter, topic)) {
+                client.publish({topic, payload, qos: 0, retain: true});
+              }
+            });
+          }
+        });
       })
       .on('unsubscribe', (...args) => {
         client.unsuback(transformers.unsubscribe(...args));
@@ -83,17 +105,38 @@ exports.createBroker = async ({port, path, mitm, transformers = {}} = {}) => {
         client.pubrel(transformers.pubrec(...args));
       })
       .on('publish', packet => {
+        const {properties} = packet;
+        if (properties && properties.topicAlias) {
+          if (packet.topic) {
+            aliases.set(properties.topicAlias, packet.topic);
+          } else {
+            packet.topic = aliases.get(properties.topicAlias);
+          }
+          delete properties.topicAlias;
+        }
+        if (packet.retain) {
+          if (packet.payload.length) {
+            retained.set(packet.topic, packet.payload);
+          } else {
+            retained.delete(packet.topic);
+          }
+        }
         packet = transformers.publish(packet);
+        // a falsy packet means drop the message: no echo, no acknowledgement
+        if (!packet) {
+          return;
+        }
         process.nextTick(() => {
-          client.publish(packet);
+          // the retain flag is only set on messages sent upon subscription
+          client.publish(Object.assign({}, packet, {retain: false}));
           switch (packet.qos) {
             case 0:
               break;
             case 1:
-              client.puback(packet);
+              client.puback({messageId: packet.messageId});
               break;
             case 2:
-              client.pubrec(packet);
+              client.pubrec({messageId: packet.messageId});
               break;
           }
         });
@@ -102,6 +145,7 @@ exports.createBroker = async ({port, path, mitm, transformers = {}} = {}) => {
 
   const broker = stoppable(new (mitm ? MITMBroker : Broker)(listener), 0);
   broker.transformers = transformers;
+  broker.retained = retained;
   broker.port = port;
   broker.path = path;
   const promisifiedBroker = promisify(broker, {
@@ -0,0 +1,64 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {ConnectionRefusedError} = require('../lib/errors');
+const {backoff, isRetryable, normalizeRetry} = require('../lib/lifecycle');
+
+describe('lifecycle', function() {
+  describe('normalizeRetry()', function() {
+    it('should return null if not retrying', function() {
+      expect(normalizeRetry(), 'to be null');
+      expect(normalizeRetry(false), 'to be null');
+    });
+
+    it('should apply defaults', function() {
+      expect(normalizeRetry(true), 'to equal', {
+        retries: 10,
+        minDelay: 1000,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.5
+      });
+      expect(normalizeRetry({retries: 3}), 'to satisfy', {
+        retries: 3,
+        minDelay: 1000
+      });
+    });
+
+    it('should reject jitter outside [0, 1]', function() {
+      expect(() => normalizeRetry({jitter: 2}), 'to throw', TypeError);
+    });
+  });
+
+  describe('backoff()', function() {
+    const opts = {minDelay: 100, maxDelay: 1000, factor: 2, jitter: 0.5};
+
+    it('should grow exponentially up to the maximum', function() {
+      const delays = [0, 1, 2, 3, 4, 5].map(attempt =>
+        backoff(attempt, opts, () => 0)
+      );
+      expect(delays, 'to equal', [100, 200, 400, 800, 1000, 1000]);
+    });
+
+    it('should take off up to "jitter" of the delay', function() {
+      expect(backoff(1, opts, () => 0.5), 'to be', 150);
+      expect(backoff(1, opts, () => 0.99), 'to be', 101);
+    });
+  });
+
+  describe('isRetryable()', function() {
+    it('should retry socket errors', function() {
+      expect(
+        isRetryable(Object.assign(new Error(), {code: 'ECONNREFUSED'})),
+        'to be true'
+      );
+    });
+
+    it('should retry only transient refusals', function() {
+      expect(isRetryable(new ConnectionRefusedError(3)), 'to be true');
+      expect(isRetryable(new ConnectionRefusedError(0x89)), 'to be true');
+      expect(isRetryable(new ConnectionRefusedError(5)), 'to be false');
+    });
+  });
+});
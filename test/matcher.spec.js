@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {TopicMatcher} = require('../lib/matcher');
+
+describe('matcher', function() {
+  describe('TopicMatcher', function() {
+    let matcher;
+
+    beforeEach(function() {
+      matcher = new TopicMatcher();
+    });
+
+    describe('match()', function() {
+      it('should match an identical topic', function() {
+        matcher.add('foo/bar', 1);
+        expect(matcher.match('foo/bar'), 'to equal', [1]);
+        expect(matcher.match('foo'), 'to be empty');
+        expect(matcher.match('foo/bar/baz'), 'to be empty');
+      });
+
+      it('should match single-level wildcards', function() {
+        matcher.add('foo/+/baz', 1).add('+', 2);
+        expect(matcher.match('foo/bar/baz'), 'to equal', [1]);
+        expect(matcher.match('foo'), 'to equal', [2]);
+        expect(matcher.match('foo/bar'), 'to be empty');
+      });
+
+      it('should match multi-level wildcards', function() {
+        matcher.add('foo/#', 1).add('#', 2);
+        expect(matcher.match('foo/bar/baz'), 'to equal', [1, 2]);
+        expect(matcher.match('bar'), 'to equal', [2]);
+      });
+
+      it('should match the parent level w/ a multi-level wildcard', function() {
+        matcher.add('foo/#', 1).add('foo/+/#', 2);
+        expect(matcher.match('foo'), 'to equal', [1]);
+        expect(matcher.match('foo/bar'), 'to equal', [2, 1]);
+      });
+
+      it('should not match "$" topics w/ a leading wildcard', function() {
+        matcher
+          .add('#', 1)
+          .add('+/foo', 2)
+          .add('$SYS/#', 3)
+          .add('$SYS/+', 4);
+        expect(matcher.match('$SYS/foo'), 'to equal', [4, 3]);
+        expect(matcher.match('bar/foo'), 'to equal', [2, 1]);
+      });
+
+      it('should treat empty levels as levels', function() {
+        matcher
+          .add('foo//bar', 1)
+          .add('foo/+/bar', 2)
+          .add('foo/bar', 3)
+          .add('+/+', 4);
+        expect(matcher.match('foo//bar'), 'to equal', [1, 2]);
+        expect(matcher.match('/foo'), 'to equal', [4]);
+        expect(matcher.match('foo/'), 'to equal', [4]);
+      });
+
+      it('should treat "*" literally', function() {
+        matcher.add('foo/*', 1).add('foo/**', 2);
+        expect(matcher.match('foo/*'), 'to equal', [1]);
+        expect(matcher.match('foo/bar'), 'to be empty');
+      });
+
+      it('should not mistake inherited properties for levels', function() {
+        expect(matcher.match('constructor/__proto__'), 'to be empty');
+      });
+
+      it('should order exact matches, then "+", then "#"', function() {
+        matcher
+          .add('foo/#', 1)
+          .add('foo/+', 2)
+          .add('foo/bar', 3)
+          .add('foo/bar', 4);
+        expect(matcher.match('foo/bar'), 'to equal', [3, 4, 2, 1]);
+      });
+    });
+
+    describe('remove()', function() {
+      it('should remove a value', function() {
+        matcher.add('foo/+', 1).add('foo/+', 2);
+        expect(matcher.remove('foo/+', 1), 'to be true');
+        expect(matcher.match('foo/bar'), 'to equal', [2]);
+      });
+
+      it('should return false for an unknown value', function() {
+        matcher.add('foo/+', 1);
+        expect(matcher.remove('foo/+', 2), 'to be false');
+        expect(matcher.remove('foo/bar', 1), 'to be false');
+      });
+
+      it('should prune empty levels', function() {
+        matcher.add('foo/bar/baz', 1).add('foo', 2);
+        matcher.remove('foo/bar/baz', 1);
+        expect(matcher.root.children.get('foo').children.size, 'to be', 0);
+        matcher.remove('foo', 2);
+        expect(matcher.root.empty, 'to be true');
+      });
+    });
+
+    describe('count()', function() {
+      it('should count the values of a filter', function() {
+        matcher.add('foo/#', 1).add('foo/#', 2);
+        expect(matcher.count('foo/#'), 'to be', 2);
+        expect(matcher.count('foo'), 'to be', 0);
+        expect(matcher.count('bar'), 'to be', 0);
+      });
+    });
+
+    it('should scale to many filters', function() {
+      for (let i = 0; i < 50000; i++) {
+        matcher.add(`devices/${i}/+`, i);
+      }
+      matcher.add('devices/#', 'all');
+      const start = Date.now();
+      for (let i = 0; i < 1000; i++) {
+        expect(matcher.match(`devices/${i}/state`), 'to equal', [i, 'all']);
+      }
+      expect(Date.now() - start, 'to be less than', 1000);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {
+  TopicAliases,
+  codecForContentType,
+  describeSuback
+} = require('../lib/mqtt5');
+
+describe('mqtt5', function() {
+  describe('describeSuback()', function() {
+    it('should name the reason code', function() {
+      expect(describeSuback({topic: 'foo', qos: 0x97}), 'to equal', {
+        topic: 'foo',
+        qos: 0x97,
+        reasonCode: 0x97,
+        reason: 'Quota exceeded'
+      });
+    });
+  });
+
+  describe('codecForContentType()', function() {
+    const isCodec = name => name === 'cbor';
+
+    it('should map known MIME types', function() {
+      expect(
+        codecForContentType(
+          {properties: {contentType: 'Application/JSON; charset=utf-8'}},
+          isCodec
+        ),
+        'to be',
+        'json'
+      );
+    });
+
+    it('should accept codec names', function() {
+      expect(
+        codecForContentType({properties: {contentType: 'cbor'}}, isCodec),
+        'to be',
+        'cbor'
+      );
+    });
+
+    it('should ignore unknown content types', function() {
+      expect(
+        codecForContentType({properties: {contentType: 'foo/bar'}}, isCodec),
+        'to be undefined'
+      );
+      expect(codecForContentType({}, isCodec), 'to be undefined');
+    });
+  });
+
+  describe('TopicAliases', function() {
+    let aliases;
+
+    beforeEach(function() {
+      aliases = new TopicAliases({
+        connackProperties: {topicAliasMaximum: 1}
+      });
+    });
+
+    it('should assign aliases up to the maximum', function() {
+      expect(aliases.apply('foo'), 'to equal', {
+        topic: 'foo',
+        properties: {topicAlias: 1}
+      });
+      expect(aliases.apply('bar', {contentType: 'text/plain'}), 'to equal', {
+        topic: 'bar',
+        properties: {contentType: 'text/plain'}
+      });
+    });
+
+    it('should omit the topic once aliased', function() {
+      aliases.apply('foo');
+      expect(aliases.apply('foo'), 'to equal', {
+        topic: '',
+        properties: {topicAlias: 1}
+      });
+    });
+
+    it('should forget aliases when reset', function() {
+      aliases.apply('foo');
+      aliases.reset();
+      expect(aliases.apply('foo'), 'to satisfy', {topic: 'foo'});
+    });
+
+    it('should leave an explicit alias alone', function() {
+      expect(aliases.apply('foo', {topicAlias: 5}), 'to equal', {
+        topic: 'foo',
+        properties: {topicAlias: 5}
+      });
+    });
+  });
+});
@@ -2,10 +2,29 @@
 'use strict';
 
 const expect = require('unexpected');
+const {EventEmitter} = require('events');
 const {MqttClient} = require('mqtt');
-const {connect} = require('..');
+const {
+  ClientClosedError,
+  CodecError,
+  ConnectTimeoutError,
+  ConnectionRefusedError,
+  InvalidArgumentError,
+  InvalidTopicError,
+  PublishEvictedError,
+  PublishTimeoutError,
+  RequestTimeoutError,
+  SubscriptionRejectedError,
+  UnsubscriptionRejectedError,
+  ValidationError,
+  WaitTimeoutError,
+  connect,
+  registerCodec
+} = require('..');
+const decoders = require('../lib/decoders');
 const {createBroker} = require('./harness');
 const getPort = require('get-port');
+const net = require('net');
 const os = require('os');
 const path = require('path');
 
@@ -58,6 +77,18 @@ describe('mqttletoad', function() {
             'to be fulfilled'
           );
         });
+
+        it('should restore subscriptions upon reconnection', async function() {
+          client = await connect({path: broker.path, reconnectPeriod: 20});
+          await client.subscribe('foo/bar', () => {}, {qos: 1});
+          const resubscribed = new Promise(resolve => {
+            client.once('resubscribed', resolve);
+          });
+          client.stream.end();
+          expect(await resubscribed, 'to equal', [
+            {topic: 'foo/bar', qos: 1, error: null}
+          ]);
+        });
       });
 
       describe('TCP', function() {
@@ -65,6 +96,36 @@ describe('mqttletoad', function() {
           it('should reject', async function() {
             return expect(connect(), 'to be rejected with', /invalid/i);
           });
+
+          it('should reject w/ an InvalidArgumentError', async function() {
+            return expect(
+              connect(),
+              'to be rejected with error satisfying',
+              expect
+                .it('to be an', InvalidArgumentError)
+                .and('to satisfy', {code: 'EINVALIDARG', argument: 'url'})
+            );
+          });
+        });
+
+        describe('when the broker refuses the connection', function() {
+          beforeEach(async function() {
+            port = await getPort();
+            broker = await createBroker({port});
+            broker.transformers.connack = () => ({returnCode: 5});
+          });
+
+          it('should reject w/ a ConnectionRefusedError', async function() {
+            return expect(
+              connect(`mqtt://localhost:${port}`, {reconnectPeriod: 20}),
+              'to be rejected with error satisfying',
+              expect.it('to be a', ConnectionRefusedError).and('to satisfy', {
+                code: 'EREFUSED',
+                returnCode: 5,
+                reason: 'Not authorized'
+              })
+            );
+          });
         });
 
         describe('when given a valid connection object', function() {
@@ -149,260 +210,2902 @@ describe('mqttletoad', function() {
     });
   });
 
-  describe('decoders & encoders', function() {
-    it('should handle custom encoders and decoders');
-  });
-
-  describe('MQTT client behavior', function() {
+  describe('connection lifecycle', function() {
     beforeEach(async function() {
       port = await getPort();
-      broker = await createBroker({port});
-      client = await connect(`mqtt://localhost:${port}`);
     });
 
-    describe('publish()', function() {
-      describe('encoder', function() {
-        describe('when passed an unknown encoder', async function() {
-          it('should reject', function() {
-            return expect(
-              client.publish('foo', 'bar', {encoder: 'foo'}),
-              'to be rejected with',
-              /unknown/i
-            );
+    describe('when nothing is listening', function() {
+      it('should reject w/ the socket error', async function() {
+        return expect(
+          connect(`mqtt://localhost:${port}`),
+          'to be rejected with error satisfying',
+          {code: 'ECONNREFUSED'}
+        );
+      });
+
+      describe('when given a "retry" option', function() {
+        it('should retry until the broker is up', async function() {
+          setTimeout(async () => {
+            broker = await createBroker({port});
+          }, 50);
+          client = await connect(`mqtt://localhost:${port}`, {
+            retry: {minDelay: 10, maxDelay: 20, retries: 100}
           });
+          expect(client, 'to satisfy', {connected: true, state: 'connected'});
         });
 
-        describe('when passed a weird thing', function() {
-          it('should reject', async function() {
-            return expect(
-              client.publish('foo', 'bar', {encoder: new Date()}),
-              'to be rejected with',
-              TypeError
-            );
-          });
+        it('should reject once out of retries', async function() {
+          return expect(
+            connect(`mqtt://localhost:${port}`, {
+              retry: {minDelay: 5, retries: 2}
+            }),
+            'to be rejected with error satisfying',
+            {code: 'ECONNREFUSED'}
+          );
         });
+      });
+    });
 
-        describe('when given a function', function() {
-          it('should fulfill', async function() {
-            return expect(
-              client.publish('foo', 'bar', {encoder: value => value}),
-              'to be fulfilled'
-            );
-          });
+    describe('when the broker never responds', function() {
+      let server;
+      let sockets;
+
+      beforeEach(async function() {
+        sockets = [];
+        server = net.createServer(socket => {
+          sockets.push(socket);
         });
+        await new Promise(resolve => server.listen(port, resolve));
       });
 
-      describe('default QoS (0)', function() {
-        it('should publish with the (string) message and fulfill', async function() {
-          return expect(
-            client.publish('foo', 'bar'),
-            'to be fulfilled with',
-            void 0
-          );
+      afterEach(async function() {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+      });
+
+      it('should reject w/ a ConnectTimeoutError', async function() {
+        return expect(
+          connect(`mqtt://localhost:${port}`, {connectTimeout: 50}),
+          'to be rejected with error satisfying',
+          expect.it('to be a', ConnectTimeoutError).and('to satisfy', {
+            code: 'ETIMEDOUT',
+            timeout: 50
+          })
+        );
+      });
+
+      it('should retry each timeout', async function() {
+        await expect(
+          connect(`mqtt://localhost:${port}`, {
+            connectTimeout: 20,
+            retry: {minDelay: 5, retries: 1}
+          }),
+          'to be rejected with error satisfying',
+          expect.it('to be a', ConnectTimeoutError)
+        );
+        expect(sockets, 'to have length', 2);
+      });
+    });
+
+    describe('when the broker refuses the connection', function() {
+      let connects;
+
+      beforeEach(async function() {
+        broker = await createBroker({port});
+        connects = 0;
+        broker.transformers.connack = () => {
+          connects++;
+          return {returnCode: connects < 3 ? 3 : 0};
+        };
+      });
+
+      it('should retry if the server is unavailable', async function() {
+        client = await connect(`mqtt://localhost:${port}`, {
+          retry: {minDelay: 5}
         });
+        expect(connects, 'to be', 3);
+      });
 
-        it('should publish with the (Buffer) message and fulfill', async function() {
-          return expect(
-            client.publish('foo', Buffer.from([0x00, 0x01, 0x02])),
-            'to be fulfilled with',
-            void 0
-          );
+      it('should not retry other refusals', async function() {
+        broker.transformers.connack = () => {
+          connects++;
+          return {returnCode: 4};
+        };
+        await expect(
+          connect(`mqtt://localhost:${port}`, {retry: {minDelay: 5}}),
+          'to be rejected with error satisfying',
+          expect.it('to be a', ConnectionRefusedError)
+        );
+        expect(connects, 'to be', 1);
+      });
+    });
+
+    describe('when connected', function() {
+      let states;
+
+      beforeEach(async function() {
+        broker = await createBroker({port});
+        client = await connect(`mqtt://localhost:${port}`, {
+          reconnectPeriod: 20
+        });
+        states = [];
+        client.on('state', (state, previous) => {
+          states.push([previous, state]);
         });
       });
 
-      describe('QoS 1', function() {
-        it('should publish with the (string) message and fulfill', async function() {
-          return expect(
-            client.publish('foo', 'bar'),
-            'to be fulfilled with',
-            void 0
-          );
+      it('should be in state "connected"', function() {
+        expect(client.state, 'to be', 'connected');
+      });
+
+      it('should track reconnection', async function() {
+        client.stream.end();
+        await new Promise(resolve => client.once('connect', resolve));
+        expect(states, 'to equal', [
+          ['connected', 'offline'],
+          ['offline', 'reconnecting'],
+          ['reconnecting', 'connected']
+        ]);
+      });
+
+      it('should be in state "closed" once ended', async function() {
+        await client.end();
+        expect(states, 'to equal', [['connected', 'closed']]);
+      });
+
+      it('should be in state "closed" once ended while offline', async function() {
+        const offline = new Promise(resolve => client.once('offline', resolve));
+        await broker.stop();
+        await offline;
+        const connected = client.whenConnected();
+        await client.end();
+        expect(client.state, 'to be', 'closed');
+        await expect(
+          connected,
+          'to be rejected with error satisfying',
+          expect.it('to be a', ClientClosedError)
+        );
+      });
+
+      it('should end while offline despite unacknowledged publishes', async function() {
+        const offline = new Promise(resolve => client.once('offline', resolve));
+        await broker.stop();
+        await offline;
+        client.publish('foo/bar', 'baz', {qos: 1}).catch(() => {});
+        await client.end();
+        expect(client.state, 'to be', 'closed');
+      });
+
+      describe('whenConnected()', function() {
+        it('should fulfill w/ the client at once', async function() {
+          return expect(client.whenConnected(), 'to be fulfilled with', client);
         });
 
-        it('should publish with the (Buffer) message and fulfill', async function() {
+        it('should fulfill upon reconnection', async function() {
+          client.stream.end();
+          await new Promise(resolve => client.once('offline', resolve));
+          expect(client.connected, 'to be false');
+          await expect(client.whenConnected(), 'to be fulfilled with', client);
+          expect(client.connected, 'to be true');
+        });
+
+        it('should reject once closed', async function() {
+          await client.end();
           return expect(
-            client.publish('foo', Buffer.from([0x00, 0x01, 0x02])),
-            'to be fulfilled with',
-            void 0
+            client.whenConnected(),
+            'to be rejected with error satisfying',
+            expect.it('to be a', ClientClosedError)
           );
         });
       });
     });
+  });
 
-    describe('subscribe()', function() {
-      describe('error recovery', function() {
-        it('should remove event listener if subscription fails');
+  describe('offline publish queue', function() {
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      client = await connect(`mqtt://localhost:${port}`, {
+        queue: true,
+        reconnectPeriod: 20
       });
+    });
 
-      describe('invalid parameters', function() {
-        describe('no parameters', function() {
-          it('should reject', async function() {
-            return expect(() => client.subscribe(), 'to be rejected');
-          });
+    it('should publish immediately while connected', async function() {
+      await client.publish('foo/bar', 'baz', {qos: 1});
+      expect(client.publishQueue.size, 'to be', 0);
+    });
+
+    it('should replay messages published while offline', async function() {
+      const received = [];
+      broker.transformers.publish = packet => {
+        received.push(String(packet.payload));
+        return packet;
+      };
+      client.stream.end();
+      await new Promise(resolve => client.once('close', resolve));
+      expect(client.connected, 'to be false');
+      const published = [
+        client.publish('foo/bar', 'a', {qos: 1}),
+        client.publish('foo/bar', 'b', {qos: 1})
+      ];
+      await new Promise(resolve => setImmediate(resolve));
+      expect(client.publishQueue.size, 'to be', 2);
+      await Promise.all(published);
+      expect(received, 'to equal', ['a', 'b']);
+      expect(client.publishQueue.size, 'to be', 0);
+    });
+
+    it('should replay QoS 0 messages which MQTT.js would not queue', async function() {
+      await client.end();
+      client = await connect(`mqtt://localhost:${port}`, {
+        queue: true,
+        queueQoSZero: false,
+        reconnectPeriod: 20
+      });
+      const received = new Promise(resolve => {
+        broker.transformers.publish = packet => {
+          resolve(String(packet.payload));
+          return packet;
+        };
+      });
+      client.stream.end();
+      await new Promise(resolve => client.once('close', resolve));
+      const published = client.publish('foo/bar', 'a');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(client.publishQueue.size, 'to be', 1);
+      await published;
+      expect(await received, 'to be', 'a');
+    });
+
+    it('should reject w/ a PublishEvictedError if evicted', async function() {
+      await client.end();
+      client = await connect(`mqtt://localhost:${port}`, {
+        queue: {maxSize: 1, overflow: 'drop-newest'},
+        reconnectPeriod: 20
+      });
+      client.stream.end();
+      await new Promise(resolve => client.once('close', resolve));
+      const first = client.publish('foo/bar', 'a', {qos: 1});
+      await expect(
+        client.publish('foo/bar', 'b', {qos: 1}),
+        'to be rejected with error satisfying',
+        expect.it('to be a', PublishEvictedError).and('to satisfy', {
+          code: 'EEVICTED',
+          topic: 'foo/bar',
+          reason: 'overflow'
+        })
+      );
+      await first;
+    });
+  });
+
+  describe('resubscription', function() {
+    let subscribes;
+
+    const reconnect = async () => {
+      const resubscribed = new Promise(resolve => {
+        client.once('resubscribed', resolve);
+      });
+      client.stream.end();
+      return resubscribed;
+    };
+
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      client = await connect(`mqtt://localhost:${port}`, {
+        reconnectPeriod: 20
+      });
+      await client.subscribe('foo/+', () => {}, {qos: 1});
+      await client.subscribe('bar/#', () => {});
+      subscribes = [];
+      const {subscribe} = broker.transformers;
+      broker.transformers.subscribe = packet => {
+        subscribes.push(...packet.subscriptions);
+        return subscribe(packet);
+      };
+    });
+
+    describe('upon reconnecting to a clean session', function() {
+      it('should restore subscriptions at their recorded QoS', async function() {
+        expect(await reconnect(), 'to equal', [
+          {topic: 'foo/+', qos: 1, error: null},
+          {topic: 'bar/#', qos: 0, error: null}
+        ]);
+        expect(subscribes, 'to equal', [
+          {topic: 'foo/+', qos: 1},
+          {topic: 'bar/#', qos: 0}
+        ]);
+      });
+
+      it('should restore listeners', async function() {
+        await reconnect();
+        const received = client.waitFor('foo/+');
+        await client.publish('foo/bar', 'baz', {qos: 1});
+        expect(await received, 'to equal', 'baz');
+      });
+
+      it('should report failures per filter', async function() {
+        broker.transformers.subscribe = packet => ({
+          messageId: packet.messageId,
+          granted: packet.subscriptions.map(
+            ({topic, qos}) => (topic === 'bar/#' ? 128 : qos)
+          )
         });
+        expect(await reconnect(), 'to satisfy', [
+          {topic: 'foo/+', qos: 1, error: null},
+          {
+            topic: 'bar/#',
+            qos: 128,
+            error: expect.it('to be a', SubscriptionRejectedError)
+          }
+        ]);
+      });
+    });
 
-        describe('undefined listener', function() {
-          it('should reject', async function() {
-            return expect(() => client.subscribe('foo/bar'), 'to be rejected');
-          });
+    describe('upon reconnecting to a present session', function() {
+      it('should not resubscribe', async function() {
+        broker.transformers.connack = () => ({
+          returnCode: 0,
+          sessionPresent: true
         });
+        client.stream.end();
+        await new Promise(resolve => client.once('connect', resolve));
+        expect(subscribes, 'to be empty');
+      });
+    });
 
-        describe('non-function listener', function() {
-          it('should reject', async function() {
-            return expect(
-              () => client.subscribe('foo/bar', {}),
-              'to be rejected'
-            );
-          });
+    describe('when the "resubscribe" option is false', function() {
+      it('should not resubscribe', async function() {
+        await client.end();
+        client = await connect(`mqtt://localhost:${port}`, {
+          reconnectPeriod: 20,
+          resubscribe: false
         });
+        await client.subscribe('foo/+', () => {});
+        subscribes.length = 0;
+        client.stream.end();
+        await new Promise(resolve => client.once('connect', resolve));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(subscribes, 'to be empty');
       });
+    });
+  });
 
-      it('should subscribe to a topic w/ QoS 0', async function() {
-        return expect(
-          client.subscribe('foo/bar', () => {}),
-          'to be fulfilled with',
+  describe('will & birth messages', function() {
+    let connects;
+    let publishes;
+
+    const reconnect = async () => {
+      client.stream.end();
+      await new Promise(resolve => client.once('connect', resolve));
+    };
+
+    let onPublish;
+
+    // fulfills once the broker receives a PUBLISH
+    const nextPublish = () =>
+      new Promise(resolve => {
+        onPublish = resolve;
+      });
+
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      connects = [];
+      publishes = [];
+      onPublish = () => {};
+      const {connack, publish} = broker.transformers;
+      broker.transformers.connack = packet => {
+        connects.push(packet);
+        return connack(packet);
+      };
+      broker.transformers.publish = packet => {
+        publishes.push(packet);
+        onPublish(packet);
+        return publish(packet);
+      };
+    });
+
+    describe('when given a "will" option', function() {
+      it('should encode the will', async function() {
+        client = await connect(`mqtt://localhost:${port}`, {
+          will: {
+            topic: 'presence/abc',
+            payload: {online: false},
+            encoder: 'json',
+            qos: 1,
+            retain: true
+          }
+        });
+        expect(connects, 'to satisfy', [
           {
-            topic: 'foo/bar',
-            qos: 0
+            will: {
+              topic: 'presence/abc',
+              payload: Buffer.from('{"online":false}'),
+              qos: 1,
+              retain: true
+            }
           }
-        );
+        ]);
       });
 
-      it('should subscribe to a topic w/ QoS 1', async function() {
+      it('should send a Buffer will as-is', async function() {
+        const payload = Buffer.from([0xff, 0x00, 0x80]);
+        client = await connect(`mqtt://localhost:${port}`, {
+          will: {topic: 'presence/abc', payload},
+          encoder: 'json'
+        });
+        expect(connects, 'to satisfy', [
+          {will: {topic: 'presence/abc', payload}}
+        ]);
+      });
+
+      it('should reject if the will violates its schema', async function() {
         return expect(
-          client.subscribe('foo/bar', () => {}, {qos: 1}),
-          'to be fulfilled with',
-          {
-            topic: 'foo/bar',
-            qos: 1
-          }
+          connect(`mqtt://localhost:${port}`, {
+            will: {
+              topic: 'presence/abc',
+              payload: {online: 'no'},
+              encoder: 'json',
+              schema: {
+                type: 'object',
+                properties: {online: {type: 'boolean'}}
+              }
+            }
+          }),
+          'to be rejected with error satisfying',
+          expect.it('to be a', ValidationError)
         );
       });
 
-      it('should subscribe to a topic w/ QoS 2', async function() {
+      it('should reject if the will has no topic', async function() {
         return expect(
-          client.subscribe('foo/bar', () => {}, {qos: 2}),
-          'to be fulfilled with',
-          {
-            topic: 'foo/bar',
-            qos: 2
-          }
+          connect(`mqtt://localhost:${port}`, {will: {payload: 'foo'}}),
+          'to be rejected with error satisfying',
+          expect.it('to be a', TypeError)
         );
       });
+    });
 
-      it('should execute the listener when exact matching topic received', async function() {
-        return new Promise((resolve, reject) => {
-          client.subscribe('foo/bar', message => {
-            expect(String(message), 'to equal', 'baz');
-            resolve();
-          });
-          client.publish('foo/bar', 'baz');
+    describe('setWill()', function() {
+      beforeEach(async function() {
+        client = await connect(`mqtt://localhost:${port}`, {
+          reconnectPeriod: 20,
+          encoder: 'json'
         });
       });
 
-      it('should execute the listener when wildcard (#) topic received', async function() {
-        return new Promise((resolve, reject) => {
-          client.subscribe('foo/#', message => {
-            expect(String(message), 'to equal', 'quux');
-            resolve();
-          });
-          client.publish('foo/bar', 'quux');
+      it('should send the will upon reconnecting', async function() {
+        client.setWill('presence/abc', {online: false}, {retain: true});
+        await reconnect();
+        expect(connects[1], 'to satisfy', {
+          will: {
+            topic: 'presence/abc',
+            payload: Buffer.from('{"online":false}'),
+            retain: true
+          }
         });
       });
 
-      it('should execute the listener when wildcard (+) topic received', async function() {
-        return new Promise((resolve, reject) => {
-          client.subscribe('foo/+/baz', message => {
-            expect(String(message), 'to equal', 'quux');
-            resolve();
-          });
-          client.publish('foo/bar/baz', 'quux');
+      it('should send a Buffer will as-is upon reconnecting', async function() {
+        const payload = Buffer.from([0xff, 0x00, 0x80]);
+        client.setWill('presence/abc', payload);
+        await reconnect();
+        expect(connects[1], 'to satisfy', {
+          will: {topic: 'presence/abc', payload}
         });
       });
 
-      it('should always call the listener with a raw packet', function() {
-        return new Promise((resolve, reject) => {
-          client.subscribe('foo/+', (message, packet) => {
-            expect(packet, 'to satisfy', {
-              cmd: 'publish',
-              retain: false,
-              qos: 0,
-              dup: false,
-              length: 12,
-              topic: 'foo/bar',
-              payload: expect.it('when decoded as', 'utf-8', 'to equal', 'baz')
+      it('should remove the will when given null', async function() {
+        client.setWill('presence/abc', {online: false});
+        client.setWill(null);
+        await reconnect();
+        expect(connects[1].will, 'to be undefined');
+      });
+
+      it('should throw if given no topic', function() {
+        expect(() => client.setWill(), 'to throw', TypeError);
+      });
+    });
+
+    describe('when given a "birth" option', function() {
+      beforeEach(async function() {
+        const sent = nextPublish();
+        client = await connect(`mqtt://localhost:${port}`, {
+          reconnectPeriod: 20,
+          birth: {
+            topic: 'presence/abc',
+            payload: {online: true},
+            encoder: 'json',
+            qos: 1,
+            retain: true
+          }
+        });
+        await sent;
+      });
+
+      it('should publish the birth message upon connecting', function() {
+        expect(publishes, 'to satisfy', [
+          {
+            topic: 'presence/abc',
+            payload: Buffer.from('{"online":true}'),
+            qos: 1,
+            retain: true
+          }
+        ]);
+      });
+
+      it('should publish the birth message upon reconnecting', async function() {
+        const sent = nextPublish();
+        await reconnect();
+        await sent;
+        expect(publishes, 'to satisfy', [
+          {topic: 'presence/abc'},
+          {topic: 'presence/abc', payload: Buffer.from('{"online":true}')}
+        ]);
+      });
+    });
+
+    describe('when the "birth" option violates its schema', function() {
+      it('should reject', async function() {
+        return expect(
+          connect(`mqtt://localhost:${port}`, {
+            birth: {
+              topic: 'presence/abc',
+              payload: 'online',
+              schema: {type: 'boolean'}
+            }
+          }),
+          'to be rejected with error satisfying',
+          expect.it('to be a', ValidationError)
+        );
+      });
+    });
+  });
+
+  describe('MQTT 5', function() {
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      broker.transformers.connack = () => ({
+        reasonCode: 0,
+        properties: {topicAliasMaximum: 2}
+      });
+      client = await connect(`mqtt://localhost:${port}`, {
+        protocolVersion: 5
+      });
+    });
+
+    it('should pass properties through to listeners', async function() {
+      const properties = {
+        userProperties: {foo: 'bar'},
+        responseTopic: 'replies/abc',
+        correlationData: Buffer.from('1234'),
+        messageExpiryInterval: 60
+      };
+      let received;
+      await client.subscribe('foo/bar', (message, packet) => {
+        received = packet.properties;
+      });
+      await client.publish('foo/bar', 'baz', {qos: 1, properties});
+      expect(received, 'to satisfy', properties);
+    });
+
+    it('should not send properties of CONNECT w/ a PUBLISH', async function() {
+      await client.end();
+      client = await connect(`mqtt://localhost:${port}`, {
+        protocolVersion: 5,
+        properties: {sessionExpiryInterval: 10, receiveMaximum: 20}
+      });
+      let sent;
+      broker.transformers.publish = packet => {
+        sent = packet;
+        return packet;
+      };
+      await client.publish('foo/bar', 'baz', {qos: 1});
+      expect(sent.properties || {}, 'to not have keys', [
+        'sessionExpiryInterval',
+        'receiveMaximum'
+      ]);
+    });
+
+    it('should select a decoder from the "contentType" property', async function() {
+      const received = [];
+      await client.subscribe('foo/+', message => {
+        received.push(message);
+      });
+      await client.publish(
+        'foo/json',
+        {bar: 1},
+        {
+          encoder: 'json',
+          qos: 1,
+          properties: {contentType: 'application/json; charset=utf-8'}
+        }
+      );
+      await client.publish('foo/msgpack', [1, 2], {
+        encoder: 'msgpack',
+        qos: 1,
+        properties: {contentType: 'msgpack'}
+      });
+      expect(received, 'to equal', [{bar: 1}, [1, 2]]);
+    });
+
+    it('should prefer an explicit decoder over "contentType"', async function() {
+      const received = client.waitFor('foo/bar', {decoder: 'text'});
+      await client.publish(
+        'foo/bar',
+        {bar: 1},
+        {
+          encoder: 'json',
+          qos: 1,
+          properties: {contentType: 'application/json'}
+        }
+      );
+      expect(await received, 'to equal', '{"bar":1}');
+    });
+
+    it('should fulfill subscribe() w/ the SUBACK reason code', async function() {
+      return expect(
+        client.subscribe('foo/bar', () => {}, {qos: 1}),
+        'to be fulfilled with',
+        {topic: 'foo/bar', qos: 1, reasonCode: 1, reason: 'Granted QoS 1'}
+      );
+    });
+
+    it('should reject subscribe() w/ a failing SUBACK reason code', async function() {
+      broker.transformers.subscribe = packet => ({
+        messageId: packet.messageId,
+        granted: [0x87]
+      });
+      await expect(
+        client.subscribe('foo/bar', () => {}),
+        'to be rejected with error satisfying',
+        expect.it('to be a', SubscriptionRejectedError).and('to satisfy', {
+          code: 'ESUBREJECTED',
+          topic: 'foo/bar',
+          reasonCode: 0x87,
+          reason: 'Not authorized'
+        })
+      );
+      expect(client.subscriptions(), 'to be empty');
+    });
+
+    it('should reject unsubscribe() w/ a failing UNSUBACK reason code', async function() {
+      await client.subscribe('foo/bar', () => {});
+      broker.transformers.unsubscribe = packet => ({
+        messageId: packet.messageId,
+        granted: [0x87]
+      });
+      return expect(
+        client.unsubscribe('foo/bar'),
+        'to be rejected with error satisfying',
+        expect.it('to be an', UnsubscriptionRejectedError).and('to satisfy', {
+          code: 'EUNSUBREJECTED',
+          topic: 'foo/bar',
+          reasonCode: 0x87,
+          reason: 'Not authorized'
+        })
+      );
+    });
+
+    it('should ask the broker for "No Local" when subscribing w/ "noEcho"', async function() {
+      const subscriptions = [];
+      client.on('packetsend', packet => {
+        if (packet.cmd === 'subscribe') {
+          subscriptions.push(...packet.subscriptions);
+        }
+      });
+      await client.subscribe('foo/bar', () => {}, {noEcho: true});
+      await client.subscribe('foo/bar', () => {});
+      expect(subscriptions, 'to satisfy', [
+        {topic: 'foo/bar', nl: true},
+        {topic: 'foo/bar', nl: false}
+      ]);
+    });
+
+    it('should not mistake messages from elsewhere for echoes under "No Local"', async function() {
+      const received = [];
+      await client.subscribe(
+        'cmd',
+        message => {
+          received.push(message);
+        },
+        {noEcho: true}
+      );
+      // the broker honors "No Local"; then another client sends the same
+      broker.transformers.publish = packet =>
+        String(packet.payload) === 'reboot'
+          ? null
+          : Object.assign({}, packet, {payload: Buffer.from('reboot')});
+      await client.publish('cmd', 'reboot');
+      await client.publish('cmd', 'other', {qos: 1});
+      expect(received, 'to equal', ['reboot']);
+    });
+
+    describe('topic aliases', function() {
+      let sent;
+
+      beforeEach(function() {
+        sent = [];
+        client.on('packetsend', packet => {
+          if (packet.cmd === 'publish') {
+            sent.push({
+              topic: packet.topic,
+              topicAlias: (packet.properties || {}).topicAlias
             });
-            resolve();
-          });
-          client.publish('foo/bar', 'baz');
+          }
         });
       });
 
-      it('should execute all matching handlers (in order of specificity)', async function() {
+      it('should alias repeated QoS 0 publishes', async function() {
         const received = [];
-        await Promise.all([
-          client.subscribe('foo/+/bar', _ => {
-            received.push('foo/+/bar');
-          }),
-          client.subscribe('foo/#', _ => {
-            received.push('foo/#');
-          }),
-          client.subscribe('foo/quux/bar', _ => {
-            received.push('foo/quux/bar');
-          })
+        await client.subscribe('#', (message, {topic}) => {
+          received.push(topic);
+        });
+        for (const topic of ['foo', 'foo', 'bar', 'baz', 'baz']) {
+          await client.publish(topic, 'quux');
+        }
+        await client.waitFor('baz');
+        expect(sent, 'to equal', [
+          {topic: 'foo', topicAlias: 1},
+          {topic: '', topicAlias: 1},
+          {topic: 'bar', topicAlias: 2},
+          {topic: 'baz', topicAlias: undefined},
+          {topic: 'baz', topicAlias: undefined}
         ]);
+      });
 
-        // QoS 1 means we get the puback, so we can be sure the handlers were
-        // called.
-        await client.publish('foo/quux/bar', 'baz', {qos: 1});
-        expect(received, 'to equal', ['foo/quux/bar', 'foo/+/bar', 'foo/#']);
+      it('should always send the topic at QoS 1', async function() {
+        await client.publish('foo', 'quux', {qos: 1});
+        await client.publish('foo', 'quux', {qos: 1});
+        expect(sent, 'to equal', [
+          {topic: 'foo', topicAlias: 1},
+          {topic: 'foo', topicAlias: 1}
+        ]);
       });
 
-      it('should subscribe to the same topic twice', async function() {
+      it('should not alias publishes made while offline', async function() {
+        await client.end();
+        client = await connect(`mqtt://localhost:${port}`, {
+          protocolVersion: 5,
+          reconnectPeriod: 20
+        });
         const received = [];
-        await client.subscribe('foo/bar', msg => {
-          received.push('one');
+        let onReceived;
+        const receive = count =>
+          new Promise(resolve => {
+            onReceived = () => {
+              if (received.length === count) {
+                resolve();
+              }
+            };
+          });
+        broker.transformers.publish = packet => {
+          received.push(packet.topic);
+          onReceived();
+          return packet;
+        };
+        let receiving = receive(2);
+        client.publish('foo', 'quux');
+        client.publish('foo', 'quux');
+        await receiving;
+        client.stream.end();
+        await new Promise(resolve => client.once('close', resolve));
+        expect(client.connected, 'to be false');
+        receiving = receive(3);
+        client.publish('foo', 'quux');
+        await receiving;
+        expect(received, 'to equal', ['foo', 'foo', 'foo']);
+      });
+
+      it('should not alias if the "topicAliases" option is false', async function() {
+        await client.end();
+        client = await connect(`mqtt://localhost:${port}`, {
+          protocolVersion: 5,
+          topicAliases: false
         });
-        await client.subscribe('foo/bar', msg => {
-          received.push('two');
+        sent = [];
+        client.on('packetsend', packet => {
+          if (packet.cmd === 'publish') {
+            sent.push(packet.properties);
+          }
         });
-        await client.publish('foo/bar', 'baz', {qos: 1});
-        expect(received, 'to equal', ['one', 'two']);
+        await client.publish('foo', 'quux', {qos: 1});
+        expect(sent, 'to equal', [undefined]);
+      });
+
+      it('should not alias if the CONNACK allows no aliases', async function() {
+        await client.end();
+        broker.transformers.connack = () => ({reasonCode: 0});
+        client = await connect(`mqtt://localhost:${port}`, {
+          protocolVersion: 5,
+          properties: {topicAliasMaximum: 10}
+        });
+        sent = [];
+        client.on('packetsend', packet => {
+          if (packet.cmd === 'publish') {
+            sent.push((packet.properties || {}).topicAlias);
+          }
+        });
+        await client.publish('foo', 'quux', {qos: 1});
+        expect(sent, 'to equal', [undefined]);
       });
     });
+  });
 
-    describe('unsubscribe()', function() {
-      describe('when multiple listeners present', function() {
-        const listenerA = () => {};
-        const listenerB = () => {};
+  describe('decoders & encoders', function() {
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      client = await connect(`mqtt://localhost:${port}`);
+    });
 
-        beforeEach(async function() {
-          return Promise.all([
-            client.subscribe('foo/bar', listenerA),
-            client.subscribe('foo/bar', listenerB)
-          ]);
+    it('should handle custom encoders and decoders', async function() {
+      const received = [];
+      await client.subscribe(
+        'foo/bar',
+        message => {
+          received.push(message);
+        },
+        {decoder: value => parseFloat(value) * 2}
+      );
+      await client.publish('foo/bar', 21, {
+        encoder: value => String(value),
+        qos: 1
+      });
+      expect(received, 'to equal', [42]);
+    });
+
+    describe('when mapped to topics via the "codecs" option', function() {
+      let received;
+
+      beforeEach(async function() {
+        received = [];
+        await client.end();
+        client = await connect(`mqtt://localhost:${port}`, {
+          codecs: {
+            'telemetry/#': 'json',
+            'firmware/#': 'binary',
+            'counters/+': {encoder: 'int32', decoder: 'int32'}
+          }
         });
+      });
 
-        describe('when called with no listener', function() {
-          it('should unsubscribe from topic', async function() {
+      it('should pick the encoder and decoder from the topic', async function() {
+        await client.subscribe('telemetry/+', message => {
+          received.push(message);
+        });
+        await client.publish('telemetry/a', {temp: 20}, {qos: 1});
+        expect(received, 'to equal', [{temp: 20}]);
+      });
+
+      it('should pick the decoder from the topic of each message', async function() {
+        await client.subscribe('#', message => {
+          received.push(message);
+        });
+        await client.publish('telemetry/a', {temp: 20}, {qos: 1});
+        await client.publish('counters/a', 42, {qos: 1});
+        await client.publish('logs/a', 'hello', {qos: 1});
+        expect(received, 'to equal', [{temp: 20}, 42, 'hello']);
+      });
+
+      it('should prefer an explicit option', async function() {
+        await client.subscribe(
+          'telemetry/+',
+          message => {
+            received.push(message);
+          },
+          {decoder: 'text'}
+        );
+        await client.publish('telemetry/a', '{"temp":20}', {
+          encoder: 'text',
+          qos: 1
+        });
+        expect(received, 'to equal', ['{"temp":20}']);
+      });
+
+      it('should reject an unknown codec', async function() {
+        return expect(
+          connect(`mqtt://localhost:${port}`, {codecs: {'foo/#': 'foo'}}),
+          'to be rejected with',
+          /unknown codec/
+        );
+      });
+    });
+
+    it('should handle registered and composed codecs', async function() {
+      registerCodec('test:upper', {
+        encode: value => String(value).toUpperCase(),
+        decode: value => String(value).toLowerCase()
+      });
+      const received = [];
+      await client.subscribe(
+        'foo/bar',
+        message => {
+          received.push(message);
+        },
+        {decoder: 'json|test:upper|gzip|base64'}
+      );
+      await client.publish(
+        'foo/bar',
+        {foo: 'bar'},
+        {encoder: 'json|test:upper|gzip|base64', qos: 1}
+      );
+      expect(received, 'to equal', [{foo: 'bar'}]);
+    });
+  });
+
+  describe('MQTT client behavior', function() {
+    beforeEach(async function() {
+      port = await getPort();
+      broker = await createBroker({port});
+      client = await connect(`mqtt://localhost:${port}`);
+    });
+
+    describe('publish()', function() {
+      describe('encoder', function() {
+        describe('when passed an unknown encoder', async function() {
+          it('should reject', function() {
             return expect(
-              client.unsubscribe('foo/bar'),
-              'to be fulfilled with',
-              true
+              client.publish('foo', 'bar', {encoder: 'foo'}),
+              'to be rejected with',
+              /unknown/i
             );
           });
         });
 
-        describe('when called with a single listener', function() {
-          it('should not unsubscribe from topic', async function() {
+        describe('when passed a weird thing', function() {
+          it('should reject', async function() {
             return expect(
-              client.unsubscribe('foo/bar', listenerA),
-              'to be fulfilled with',
-              false
+              client.publish('foo', 'bar', {encoder: new Date()}),
+              'to be rejected with',
+              TypeError
+            );
+          });
+        });
+
+        describe('when given a function', function() {
+          it('should fulfill', async function() {
+            return expect(
+              client.publish('foo', 'bar', {encoder: value => value}),
+              'to be fulfilled'
+            );
+          });
+        });
+
+        describe('when the encoder throws', function() {
+          it('should reject w/ a CodecError', async function() {
+            const error = new Error('nope');
+            return expect(
+              client.publish('foo', 'bar', {
+                encoder: function explode() {
+                  throw error;
+                }
+              }),
+              'to be rejected with error satisfying',
+              expect.it('to be a', CodecError).and('to satisfy', {
+                code: 'ECODEC',
+                direction: 'encode',
+                codec: 'explode',
+                topic: 'foo',
+                cause: error
+              })
             );
           });
         });
       });
+
+      describe('when given an invalid topic name', function() {
+        it('should reject w/ an InvalidTopicError', async function() {
+          return expect(
+            client.publish('foo/+', 'bar'),
+            'to be rejected with error satisfying',
+            expect.it('to be an', InvalidTopicError).and('to satisfy', {
+              message: 'invalid topic name "foo/+": must not contain wildcards'
+            })
+          );
+        });
+      });
+
+      describe('timeout', function() {
+        it('should reject w/ a PublishTimeoutError if not acknowledged', async function() {
+          broker.transformers.publish = () => null;
+          await expect(
+            client.publish('foo', 'bar', {qos: 1, timeout: 20}),
+            'to be rejected with error satisfying',
+            expect.it('to be a', PublishTimeoutError).and('to satisfy', {
+              code: 'ETIMEDOUT',
+              topic: 'foo',
+              timeout: 20
+            })
+          );
+          // otherwise, end() waits for the PUBACK
+          await client.end(true);
+        });
+
+        it('should fulfill if acknowledged in time', async function() {
+          return expect(
+            client.publish('foo', 'bar', {qos: 1, timeout: 1000}),
+            'to be fulfilled'
+          );
+        });
+      });
+
+      describe('default QoS (0)', function() {
+        it('should publish with the (string) message and fulfill', async function() {
+          return expect(
+            client.publish('foo', 'bar'),
+            'to be fulfilled with',
+            void 0
+          );
+        });
+
+        it('should publish with the (Buffer) message and fulfill', async function() {
+          return expect(
+            client.publish('foo', Buffer.from([0x00, 0x01, 0x02])),
+            'to be fulfilled with',
+            void 0
+          );
+        });
+      });
+
+      describe('QoS 1', function() {
+        it('should publish with the (string) message and fulfill', async function() {
+          return expect(
+            client.publish('foo', 'bar'),
+            'to be fulfilled with',
+            void 0
+          );
+        });
+
+        it('should publish with the (Buffer) message and fulfill', async function() {
+          return expect(
+            client.publish('foo', Buffer.from([0x00, 0x01, 0x02])),
+            'to be fulfilled with',
+            void 0
+          );
+        });
+      });
+    });
+
+    describe('subscribe()', function() {
+      describe('error recovery', function() {
+        it('should remove event listener if subscription fails', async function() {
+          await expect(
+            client.subscribe('foo/#/bar', () => {}),
+            'to be rejected with',
+            /invalid topic/i
+          );
+          expect(client.matcher.count('foo/#/bar'), 'to be', 0);
+          expect(client.registry.has('foo/#/bar'), 'to be false');
+        });
+      });
+
+      describe('decoder', function() {
+        it('should prefer the decoder passed to subscribe()', async function() {
+          const received = [];
+          await client.subscribe(
+            'foo/bar',
+            message => {
+              received.push(message);
+            },
+            {decoder: 'json'}
+          );
+          await client.publish('foo/bar', '{"baz":"quux"}', {qos: 1});
+          expect(received, 'to equal', [{baz: 'quux'}]);
+        });
+      });
+
+      describe('invalid parameters', function() {
+        describe('no parameters', function() {
+          it('should reject', async function() {
+            return expect(() => client.subscribe(), 'to be rejected');
+          });
+        });
+
+        describe('undefined listener', function() {
+          it('should reject', async function() {
+            return expect(() => client.subscribe('foo/bar'), 'to be rejected');
+          });
+        });
+
+        describe('non-function listener', function() {
+          it('should reject', async function() {
+            return expect(
+              () => client.subscribe('foo/bar', {}),
+              'to be rejected'
+            );
+          });
+        });
+
+        describe('invalid topic filter', function() {
+          it('should reject w/ an InvalidTopicError', async function() {
+            await expect(
+              client.subscribe('foo/bar#', () => {}),
+              'to be rejected with error satisfying',
+              expect.it('to be an', InvalidTopicError).and('to satisfy', {
+                topic: 'foo/bar#'
+              })
+            );
+            expect(client.subscriptions(), 'to be empty');
+          });
+        });
+      });
+
+      describe('topic matching', function() {
+        it('should match the parent level w/ a multi-level wildcard', async function() {
+          const received = [];
+          await client.subscribe('foo/#', message => {
+            received.push(message);
+          });
+          await client.publish('foo', 'bar', {qos: 1});
+          expect(received, 'to equal', ['bar']);
+        });
+
+        it('should not match "$" topics w/ a leading wildcard', async function() {
+          const received = [];
+          await client.subscribe('#', (message, packet) => {
+            received.push(packet.topic);
+          });
+          await client.subscribe('$SYS/#', () => {});
+          await client.publish('$SYS/foo', 'bar', {qos: 1});
+          await client.publish('foo', 'bar', {qos: 1});
+          expect(received, 'to equal', ['foo']);
+        });
+
+        it('should treat empty levels and "*" as levels', async function() {
+          const received = [];
+          await client.subscribe('foo/+/bar', (message, packet) => {
+            received.push(packet.topic);
+          });
+          await client.subscribe('foo/*', () => {});
+          await client.publish('foo//bar', 'baz', {qos: 1});
+          await client.publish('foo/*/bar', 'baz', {qos: 1});
+          await client.publish('foo/*/baz/bar', 'baz', {qos: 1});
+          expect(received, 'to equal', ['foo//bar', 'foo/*/bar']);
+        });
+      });
+
+      it('should subscribe to a topic w/ QoS 0', async function() {
+        return expect(
+          client.subscribe('foo/bar', () => {}),
+          'to be fulfilled with',
+          {
+            topic: 'foo/bar',
+            qos: 0
+          }
+        );
+      });
+
+      it('should subscribe to a topic w/ QoS 1', async function() {
+        return expect(
+          client.subscribe('foo/bar', () => {}, {qos: 1}),
+          'to be fulfilled with',
+          {
+            topic: 'foo/bar',
+            qos: 1
+          }
+        );
+      });
+
+      it('should subscribe to a topic w/ QoS 2', async function() {
+        return expect(
+          client.subscribe('foo/bar', () => {}, {qos: 2}),
+          'to be fulfilled with',
+          {
+            topic: 'foo/bar',
+            qos: 2
+          }
+        );
+      });
+
+      it('should execute the listener when exact matching topic received', async function() {
+        return new Promise((resolve, reject) => {
+          client.subscribe('foo/bar', message => {
+            expect(String(message), 'to equal', 'baz');
+            resolve();
+          });
+          client.publish('foo/bar', 'baz');
+        });
+      });
+
+      it('should execute the listener when wildcard (#) topic received', async function() {
+        return new Promise((resolve, reject) => {
+          client.subscribe('foo/#', message => {
+            expect(String(message), 'to equal', 'quux');
+            resolve();
+          });
+          client.publish('foo/bar', 'quux');
+        });
+      });
+
+      it('should execute the listener when wildcard (+) topic received', async function() {
+        return new Promise((resolve, reject) => {
+          client.subscribe('foo/+/baz', message => {
+            expect(String(message), 'to equal', 'quux');
+            resolve();
+          });
+          client.publish('foo/bar/baz', 'quux');
+        });
+      });
+
+      it('should always call the listener with a raw packet', function() {
+        return new Promise((resolve, reject) => {
+          client.subscribe('foo/+', (message, packet) => {
+            expect(packet, 'to satisfy', {
+              cmd: 'publish',
+              retain: false,
+              qos: 0,
+              dup: false,
+              length: 12,
+              topic: 'foo/bar',
+              payload: expect.it('when decoded as', 'utf-8', 'to equal', 'baz')
+            });
+            resolve();
+          });
+          client.publish('foo/bar', 'baz');
+        });
+      });
+
+      describe('when given a topic pattern w/ named levels', function() {
+        it('should subscribe to the equivalent topic filter', async function() {
+          return expect(
+            client.subscribe('devices/:deviceId/sensors/:sensor', () => {}),
+            'to be fulfilled with',
+            {topic: 'devices/+/sensors/+', qos: 0}
+          );
+        });
+
+        it('should call the listener with the named parameters', async function() {
+          const received = [];
+          await client.subscribe(
+            'devices/:deviceId/sensors/:sensor',
+            (message, packet, params) => {
+              received.push(params);
+            }
+          );
+          await client.subscribe('logs/*rest', (message, packet, params) => {
+            received.push(params);
+          });
+          await client.publish('devices/abc/sensors/temp', '20', {qos: 1});
+          await client.publish('logs/app/error', 'oops', {qos: 1});
+          expect(received, 'to equal', [
+            {deviceId: 'abc', sensor: 'temp'},
+            {rest: 'app/error'}
+          ]);
+        });
+
+        it('should unsubscribe via the same pattern', async function() {
+          const listener = () => {};
+          await client.subscribe('devices/:deviceId', listener);
+          await expect(
+            client.unsubscribe('devices/:deviceId', listener),
+            'to be fulfilled with',
+            true
+          );
+        });
+      });
+
+      it('should execute all matching handlers (in order of specificity)', async function() {
+        const received = [];
+        await Promise.all([
+          client.subscribe('foo/+/bar', _ => {
+            received.push('foo/+/bar');
+          }),
+          client.subscribe('foo/#', _ => {
+            received.push('foo/#');
+          }),
+          client.subscribe('foo/quux/bar', _ => {
+            received.push('foo/quux/bar');
+          })
+        ]);
+
+        // QoS 1 means we get the puback, so we can be sure the handlers were
+        // called.
+        await client.publish('foo/quux/bar', 'baz', {qos: 1});
+        expect(received, 'to equal', ['foo/quux/bar', 'foo/+/bar', 'foo/#']);
+      });
+
+      it('should subscribe to the same topic twice', async function() {
+        const received = [];
+        await client.subscribe('foo/bar', msg => {
+          received.push('one');
+        });
+        await client.subscribe('foo/bar', msg => {
+          received.push('two');
+        });
+        await client.publish('foo/bar', 'baz', {qos: 1});
+        expect(received, 'to equal', ['one', 'two']);
+      });
+
+      describe('when the topic is already subscribed', function() {
+        let subscribes;
+
+        beforeEach(function() {
+          subscribes = [];
+          const {subscribe} = broker.transformers;
+          broker.transformers.subscribe = packet => {
+            subscribes.push(...packet.subscriptions);
+            return subscribe(packet);
+          };
+        });
+
+        it('should not subscribe at the broker again', async function() {
+          await Promise.all([
+            client.subscribe('devices/+/status', () => {}),
+            client.subscribe('devices/+/status', () => {}),
+            client.subscribe('devices/+/status', () => {})
+          ]);
+          expect(subscribes, 'to equal', [{topic: 'devices/+/status', qos: 0}]);
+        });
+
+        it('should fulfill with the granted QoS', async function() {
+          await client.subscribe('foo/bar', () => {}, {qos: 1});
+          return expect(
+            client.subscribe('foo/bar', () => {}),
+            'to be fulfilled with',
+            {topic: 'foo/bar', qos: 1}
+          );
+        });
+
+        it('should subscribe at the broker again for a higher QoS', async function() {
+          await client.subscribe('foo/bar', () => {});
+          await client.subscribe('foo/bar', () => {}, {qos: 2});
+          expect(subscribes, 'to equal', [
+            {topic: 'foo/bar', qos: 0},
+            {topic: 'foo/bar', qos: 2}
+          ]);
+        });
+
+        it('should record the listeners in the registry', async function() {
+          const listenerA = () => {};
+          const listenerB = () => {};
+          await client.subscribe('foo/bar', listenerA);
+          await client.subscribe('foo/bar', listenerB);
+          expect(client.registry.get('foo/bar'), 'to satisfy', {
+            topic: 'foo/bar',
+            qos: 0,
+            listeners: [{listener: listenerA}, {listener: listenerB}]
+          });
+        });
+      });
+    });
+
+    describe('shared subscriptions', function() {
+      let subscribes;
+
+      beforeEach(function() {
+        subscribes = [];
+        const {subscribe} = broker.transformers;
+        broker.transformers.subscribe = packet => {
+          subscribes.push(...packet.subscriptions.map(({topic}) => topic));
+          return subscribe(packet);
+        };
+      });
+
+      it('should route messages by the bare filter', async function() {
+        const received = [];
+        await client.subscribe(
+          '$share/workers/jobs/:id',
+          (message, packet, {id}) => {
+            received.push(id);
+          }
+        );
+        await client.publish('jobs/1', 'foo', {qos: 1});
+        expect(received, 'to equal', ['1']);
+        expect(subscribes, 'to equal', ['$share/workers/jobs/+']);
+      });
+
+      it('should support "$queue"', async function() {
+        const received = client.waitFor('$queue/jobs/#');
+        await client.publish('jobs/1', 'foo', {qos: 1});
+        expect(await received, 'to equal', 'foo');
+        expect(subscribes, 'to equal', ['$queue/jobs/#']);
+      });
+
+      it('should unsubscribe the shared subscription', async function() {
+        const listener = () => {};
+        await client.subscribe('$share/workers/jobs/#', listener);
+        await client.subscribe('jobs/#', listener);
+        await client.unsubscribe('$share/workers/jobs/#', listener);
+        expect(client.subscriptions(), 'to satisfy', [{topic: 'jobs/#'}]);
+      });
+
+      describe('subscribeShared()', function() {
+        it('should subscribe w/ the share group', async function() {
+          await expect(
+            client.subscribeShared('workers', 'jobs/#', () => {}),
+            'to be fulfilled with',
+            {topic: '$share/workers/jobs/#'}
+          );
+          expect(
+            client.topicListeners('$share/workers/jobs/#'),
+            'to have length',
+            1
+          );
+        });
+
+        it('should reject an invalid group', async function() {
+          return expect(
+            client.subscribeShared('work/ers', 'jobs/#', () => {}),
+            'to be rejected with error satisfying',
+            expect.it('to be a', TypeError)
+          );
+        });
+      });
+    });
+
+    describe('subscribeMany()', function() {
+      let subscribes;
+
+      beforeEach(function() {
+        subscribes = [];
+        const {subscribe} = broker.transformers;
+        broker.transformers.subscribe = packet => {
+          subscribes.push(packet.subscriptions);
+          return subscribe(packet);
+        };
+      });
+
+      it('should subscribe w/ a single SUBSCRIBE', async function() {
+        const received = [];
+        const results = await client.subscribeMany({
+          'foo/bar': {
+            listener: message => {
+              received.push(message);
+            },
+            qos: 1
+          },
+          'sensors/:id': (message, packet, {id}) => {
+            received.push(id);
+          }
+        });
+        expect(results, 'to equal', {
+          'foo/bar': {
+            topic: 'foo/bar',
+            qos: 1,
+            reasonCode: 1,
+            reason: 'Granted QoS 1',
+            error: null
+          },
+          'sensors/:id': {
+            topic: 'sensors/+',
+            qos: 0,
+            reasonCode: 0,
+            reason: 'Granted QoS 0',
+            error: null
+          }
+        });
+        expect(subscribes, 'to equal', [
+          [{topic: 'foo/bar', qos: 1}, {topic: 'sensors/+', qos: 0}]
+        ]);
+        await client.publish('foo/bar', 'baz', {qos: 1});
+        await client.publish('sensors/a', 'hot', {qos: 1});
+        expect(received, 'to equal', ['baz', 'a']);
+      });
+
+      it('should not resubscribe filters already subscribed', async function() {
+        await client.subscribe('foo/bar', () => {}, {qos: 1});
+        await client.subscribeMany({
+          'foo/bar': () => {},
+          'foo/baz': () => {}
+        });
+        expect(subscribes, 'to equal', [
+          [{topic: 'foo/bar', qos: 1}],
+          [{topic: 'foo/baz', qos: 0}]
+        ]);
+      });
+
+      it('should roll back only rejected filters', async function() {
+        broker.transformers.subscribe = packet => ({
+          messageId: packet.messageId,
+          granted: packet.subscriptions.map(
+            ({topic, qos}) => (topic === 'secret/#' ? 128 : qos)
+          )
+        });
+        const results = await client.subscribeMany({
+          'foo/bar': () => {},
+          'secret/#': () => {}
+        });
+        expect(results, 'to satisfy', {
+          'foo/bar': {error: null},
+          'secret/#': {
+            topic: 'secret/#',
+            reasonCode: 128,
+            error: expect.it('to be a', SubscriptionRejectedError)
+          }
+        });
+        expect(client.subscriptions(), 'to satisfy', [{topic: 'foo/bar'}]);
+      });
+
+      it('should attach nothing if a listener is missing', async function() {
+        await expect(
+          client.subscribeMany({'foo/bar': () => {}, 'foo/baz': {qos: 1}}),
+          'to be rejected with error satisfying',
+          expect.it('to be an', InvalidArgumentError)
+        );
+        expect(client.subscriptions(), 'to be empty');
+        expect(subscribes, 'to be empty');
+      });
+    });
+
+    describe('unsubscribeMany()', function() {
+      let unsubscribes;
+
+      beforeEach(async function() {
+        await client.subscribeMany({
+          'foo/bar': () => {},
+          'sensors/:id': () => {}
+        });
+        unsubscribes = [];
+        const {unsubscribe} = broker.transformers;
+        broker.transformers.unsubscribe = packet => {
+          unsubscribes.push(packet.unsubscriptions);
+          return unsubscribe(packet);
+        };
+      });
+
+      it('should unsubscribe w/ a single UNSUBSCRIBE', async function() {
+        expect(
+          await client.unsubscribeMany(['foo/bar', 'sensors/:id']),
+          'to equal',
+          {
+            'foo/bar': {
+              topic: 'foo/bar',
+              unsubscribed: true,
+              reasonCode: 0,
+              reason: 'Success',
+              error: null
+            },
+            'sensors/:id': {
+              topic: 'sensors/+',
+              unsubscribed: true,
+              reasonCode: 0,
+              reason: 'Success',
+              error: null
+            }
+          }
+        );
+        expect(unsubscribes, 'to equal', [['foo/bar', 'sensors/+']]);
+        expect(client.subscriptions(), 'to be empty');
+      });
+
+      it('should reject a non-array', async function() {
+        return expect(
+          client.unsubscribeMany('foo/bar'),
+          'to be rejected with error satisfying',
+          expect.it('to be an', InvalidArgumentError)
+        );
+      });
+    });
+
+    describe('unsubscribe()', function() {
+      describe('when multiple listeners present', function() {
+        const listenerA = () => {};
+        const listenerB = () => {};
+
+        beforeEach(async function() {
+          return Promise.all([
+            client.subscribe('foo/bar', listenerA),
+            client.subscribe('foo/bar', listenerB)
+          ]);
+        });
+
+        describe('when called with no listener', function() {
+          it('should unsubscribe from topic', async function() {
+            return expect(
+              client.unsubscribe('foo/bar'),
+              'to be fulfilled with',
+              true
+            );
+          });
+        });
+
+        describe('when called with a single listener', function() {
+          it('should not unsubscribe from topic', async function() {
+            return expect(
+              client.unsubscribe('foo/bar', listenerA),
+              'to be fulfilled with',
+              false
+            );
+          });
+        });
+
+        describe('when called with a listener', function() {
+          it('should no longer call the listener', async function() {
+            const received = [];
+            const listener = message => {
+              received.push(message);
+            };
+            await client.subscribe('foo/bar', listener);
+            await client.unsubscribe('foo/bar', listener);
+            await client.publish('foo/bar', 'baz', {qos: 1});
+            expect(received, 'to be empty');
+          });
+
+          it('should leave other listeners in place', async function() {
+            await client.unsubscribe('foo/bar', listenerA);
+            expect(client.matcher.count('foo/bar'), 'to be', 1);
+          });
+        });
+
+        describe('when called with each listener in turn', function() {
+          it('should unsubscribe from topic upon the last one', async function() {
+            await client.unsubscribe('foo/bar', listenerA);
+            await expect(
+              client.unsubscribe('foo/bar', listenerB),
+              'to be fulfilled with',
+              true
+            );
+            expect(client.registry.has('foo/bar'), 'to be false');
+          });
+        });
+      });
+    });
+
+    describe('decoder failure', function() {
+      let received;
+      let decodeErrors;
+
+      beforeEach(function() {
+        received = [];
+        decodeErrors = [];
+        client.on('decode-error', event => {
+          decodeErrors.push(event);
+        });
+      });
+
+      it('should emit "decode-error" and skip the listener by default', async function() {
+        await client.subscribe(
+          'sensors/+',
+          message => {
+            received.push(message);
+          },
+          {decoder: 'json'}
+        );
+        await client.publish('sensors/a', '{bad json', {qos: 1});
+        expect(received, 'to be empty');
+        expect(decodeErrors, 'to satisfy', [
+          {
+            topic: 'sensors/a',
+            payload: Buffer.from('{bad json'),
+            packet: {topic: 'sensors/a'},
+            decoder: 'json',
+            error: expect.it('to be a', CodecError).and('to satisfy', {
+              code: 'ECODEC',
+              direction: 'decode',
+              topic: 'sensors/a',
+              cause: expect.it('to be a', SyntaxError)
+            })
+          }
+        ]);
+      });
+
+      it('should call the listener w/ the raw payload if "raw"', async function() {
+        await client.subscribe(
+          'sensors/+',
+          message => {
+            received.push(message);
+          },
+          {decoder: 'json', onDecodeError: 'raw'}
+        );
+        await client.publish('sensors/a', '{bad json', {qos: 1});
+        expect(received, 'to equal', [Buffer.from('{bad json')]);
+        expect(decodeErrors, 'to have length', 1);
+      });
+
+      it('should emit "error" if "throw"', async function() {
+        const errored = new Promise(resolve => {
+          client.once('error', resolve);
+        });
+        await client.subscribe('sensors/+', () => {}, {
+          decoder: 'json',
+          onDecodeError: 'throw'
+        });
+        await client.publish('sensors/a', '{bad json', {qos: 1});
+        return expect(
+          errored,
+          'to be fulfilled with value satisfying',
+          expect.it('to be a', CodecError)
+        );
+      });
+
+      it('should still deliver to other listeners if "throw"', async function() {
+        const errors = [];
+        client.on('error', err => {
+          errors.push(err);
+        });
+        await client.subscribe('sensors/+', () => {}, {
+          decoder: 'json',
+          onDecodeError: 'throw'
+        });
+        await client.subscribe('sensors/+', message => {
+          received.push(message);
+        });
+        await client.subscribe('sensors/#', message => {
+          received.push(message);
+        });
+        await client.publish('sensors/a', '{bad json', {qos: 1});
+        expect(received, 'to equal', ['{bad json', '{bad json']);
+        expect(errors, 'to satisfy', [expect.it('to be a', CodecError)]);
+      });
+
+      it('should not affect other listeners', async function() {
+        await client.subscribe('sensors/+', () => {}, {decoder: 'json'});
+        await client.subscribe('sensors/+', message => {
+          received.push(message);
+        });
+        await client.publish('sensors/a', '{bad json', {qos: 1});
+        expect(received, 'to equal', ['{bad json']);
+      });
+
+      it('should reject an unknown policy', async function() {
+        return expect(
+          client.subscribe('sensors/+', () => {}, {onDecodeError: 'ignore'}),
+          'to be rejected with',
+          TypeError
+        );
+      });
+    });
+
+    describe('echoes', function() {
+      describe('when subscribing w/ the "noEcho" option', function() {
+        it("should not call the listener w/ the client's own messages", async function() {
+          const received = [];
+          const all = [];
+          await client.subscribe(
+            'foo/+',
+            message => {
+              received.push(message);
+            },
+            {noEcho: true}
+          );
+          await client.subscribe('foo/bar', message => {
+            all.push(message);
+          });
+          await client.publish('foo/bar', 'baz', {qos: 1});
+          expect(received, 'to be empty');
+          expect(all, 'to equal', ['baz']);
+        });
+
+        it('should call the listener w/ messages from elsewhere', async function() {
+          broker.transformers.publish = packet =>
+            Object.assign({}, packet, {payload: Buffer.from('quux')});
+          const received = [];
+          await client.subscribe(
+            'foo/bar',
+            message => {
+              received.push(message);
+            },
+            {noEcho: true}
+          );
+          await client.publish('foo/bar', 'baz', {qos: 1});
+          expect(received, 'to equal', ['quux']);
+        });
+
+        it('should tell middleware', async function() {
+          const echoes = [];
+          client.use((ctx, next) => {
+            echoes.push(ctx.echo);
+            next();
+          });
+          await client.subscribe('foo/bar', () => {}, {noEcho: true});
+          await client.publish('foo/bar', 'baz', {qos: 1});
+          expect(echoes, 'to equal', [true]);
+        });
+
+        it('should stop remembering messages once unsubscribed', async function() {
+          const listener = () => {};
+          await client.subscribe('foo/bar', listener, {noEcho: true});
+          await client.unsubscribe('foo/bar', listener);
+          await client.publish('foo/bar', 'baz', {qos: 1});
+          expect(client.echoes, 'to satisfy', {listeners: 0, size: 0});
+        });
+      });
+
+      describe('when publishing w/ the "localDelivery" option', function() {
+        let published;
+
+        beforeEach(function() {
+          published = [];
+          broker.transformers.publish = packet => {
+            published.push(packet.topic);
+            return packet;
+          };
+        });
+
+        it('should call matching listeners once', async function() {
+          const received = [];
+          await client.subscribe('foo/+', (message, packet) => {
+            received.push([message, packet.local]);
+          });
+          const publishing = client.publish('foo/bar', 'baz', {
+            qos: 1,
+            localDelivery: true
+          });
+          expect(received, 'to equal', [['baz', true]]);
+          await publishing;
+          expect(received, 'to equal', [['baz', true]]);
+          expect(published, 'to equal', ['foo/bar']);
+        });
+
+        it('should not publish if "only"', async function() {
+          const received = [];
+          await client.subscribe('foo/bar', message => {
+            received.push(message);
+          });
+          await client.publish('foo/bar', 'baz', {localDelivery: 'only'});
+          expect(received, 'to equal', ['baz']);
+          expect(published, 'to be empty');
+        });
+
+        it('should not call "noEcho" listeners', async function() {
+          const received = [];
+          await client.subscribe(
+            'foo/bar',
+            message => {
+              received.push(message);
+            },
+            {noEcho: true}
+          );
+          await client.publish('foo/bar', 'baz', {localDelivery: 'only'});
+          expect(received, 'to be empty');
+        });
+
+        it('should not remember messages to unsubscribed topics', async function() {
+          await client.subscribe('foo/bar', () => {});
+          // a real broker wouldn't send it back
+          broker.transformers.publish = () => null;
+          await client.publish('foo/baz', 'quux', {localDelivery: true});
+          expect(client.echoes, 'to satisfy', {size: 0});
+        });
+
+        it('should reject an unknown mode', async function() {
+          return expect(
+            client.publish('foo/bar', 'baz', {localDelivery: 'sometimes'}),
+            'to be rejected with error satisfying',
+            expect.it('to be an', InvalidArgumentError)
+          );
+        });
+      });
+    });
+
+    describe('policies', function() {
+      let published;
+
+      beforeEach(function() {
+        published = [];
+        broker.transformers.publish = packet => {
+          published.push(String(packet.payload));
+          return packet;
+        };
+      });
+
+      describe('when publishing w/ a policy', function() {
+        it('should fulfill w/ the status of each message', async function() {
+          const results = await Promise.all([
+            client.publish('sensors/a', '1', {throttle: 1000, qos: 1}),
+            client.publish('sensors/a', '2', {throttle: 1000, qos: 1}),
+            client.publish('sensors/b', '3', {throttle: 1000, qos: 1})
+          ]);
+          expect(results, 'to equal', [
+            {status: 'published'},
+            {status: 'dropped'},
+            {status: 'published'}
+          ]);
+          expect(published, 'to equal', ['1', '3']);
+        });
+
+        it('should publish only the latest message when coalescing', async function() {
+          const results = await Promise.all(
+            ['1', '2', '3'].map(value =>
+              client.publish('sensors/a', value, {coalesce: 20, qos: 1})
+            )
+          );
+          expect(results, 'to equal', [
+            {status: 'dropped'},
+            {status: 'dropped'},
+            {status: 'published'}
+          ]);
+          expect(published, 'to equal', ['3']);
+        });
+
+        it('should reject if given more than one', async function() {
+          return expect(
+            client.publish('sensors/a', '1', {throttle: 10, debounce: 10}),
+            'to be rejected with error satisfying',
+            expect.it('to be an', InvalidArgumentError)
+          );
+        });
+      });
+
+      describe('when given a "policies" option', function() {
+        let policed;
+
+        beforeEach(async function() {
+          policed = await connect(`mqtt://localhost:${port}`, {
+            policies: {'sensors/#': {every: 2}}
+          });
+        });
+
+        afterEach(async function() {
+          await policed.end();
+        });
+
+        it('should apply the policy of the matching filter', async function() {
+          const results = await Promise.all([
+            policed.publish('sensors/a', '1', {qos: 1}),
+            policed.publish('sensors/a', '2', {qos: 1}),
+            policed.publish('other', '3', {qos: 1})
+          ]);
+          expect(results, 'to satisfy', [
+            {status: 'dropped'},
+            {status: 'published'},
+            expect.it('not to have key', 'status')
+          ]);
+          expect(published, 'to equal', ['2', '3']);
+        });
+
+        it('should prefer a policy given to publish()', async function() {
+          await policed.publish('sensors/a', '1', {throttle: 1000, qos: 1});
+          expect(published, 'to equal', ['1']);
+        });
+
+        it('should ignore the option if "policies" is false', async function() {
+          expect(
+            await policed.publish('sensors/a', '1', {policies: false, qos: 1}),
+            'not to have key',
+            'status'
+          );
+          expect(published, 'to equal', ['1']);
+        });
+
+        it('should not police clearRetained()', async function() {
+          await policed.clearRetained('sensors/a', {qos: 1});
+          expect(published, 'to equal', ['']);
+        });
+
+        it('should not police requests nor responses', async function() {
+          await policed.respond('sensors/a/cmd', payload => `re: ${payload}`);
+          expect(
+            await Promise.all([
+              policed.request('sensors/a/cmd', '1', {timeout: 500}),
+              policed.request('sensors/a/cmd', '2', {timeout: 500})
+            ]),
+            'to equal',
+            ['re: 1', 're: 2']
+          );
+        });
+      });
+
+      describe('when subscribing w/ a policy', function() {
+        it('should call the listener w/ every nth message', async function() {
+          const received = [];
+          await client.subscribe(
+            'sensors/+',
+            message => {
+              received.push(message);
+            },
+            {every: 2}
+          );
+          for (const value of ['1', '2', '3', '4']) {
+            await client.publish('sensors/a', value, {qos: 1});
+          }
+          expect(received, 'to equal', ['2', '4']);
+        });
+
+        it('should call the listener w/ the latest message per window', async function() {
+          const received = [];
+          await client.subscribe(
+            'sensors/+',
+            message => {
+              received.push(message);
+            },
+            {coalesce: 200}
+          );
+          for (const value of ['1', '2', '3']) {
+            await client.publish('sensors/a', value, {qos: 1});
+          }
+          expect(received, 'to be empty');
+          await new Promise(resolve => setTimeout(resolve, 250));
+          expect(received, 'to equal', ['3']);
+        });
+
+        it('should drop messages held back once unsubscribed', async function() {
+          const received = [];
+          const listener = message => {
+            received.push(message);
+          };
+          await client.subscribe('sensors/a', listener, {debounce: 20});
+          await client.publish('sensors/a', '1', {qos: 1});
+          await client.unsubscribe('sensors/a', listener);
+          await new Promise(resolve => setTimeout(resolve, 40));
+          expect(received, 'to be empty');
+        });
+
+        it('should drop messages held back once the client ends', async function() {
+          const received = [];
+          await client.subscribe(
+            'sensors/a',
+            message => {
+              received.push(message);
+            },
+            {debounce: 20}
+          );
+          await client.publish('sensors/a', '1', {qos: 1});
+          await client.end();
+          await new Promise(resolve => setTimeout(resolve, 40));
+          expect(received, 'to be empty');
+        });
+      });
+    });
+
+    describe('listener failure', function() {
+      it('should emit "listener-error" if an async listener rejects', async function() {
+        const error = new Error('nope');
+        const listenerErrored = new Promise(resolve => {
+          client.once('listener-error', resolve);
+        });
+        await client.subscribe('sensors/+', async () => {
+          throw error;
+        });
+        await client.publish('sensors/a', 'foo', {qos: 1});
+        return expect(
+          listenerErrored,
+          'to be fulfilled with value satisfying',
+          {
+            topic: 'sensors/a',
+            message: 'foo',
+            error
+          }
+        );
+      });
+    });
+
+    describe('schema validation', function() {
+      const schema = {
+        type: 'object',
+        required: ['temp'],
+        properties: {temp: {type: 'number'}}
+      };
+
+      describe('subscribe()', function() {
+        let received;
+        let invalid;
+
+        beforeEach(async function() {
+          received = [];
+          invalid = [];
+          client.on('invalid-message', event => {
+            invalid.push(event);
+          });
+          await client.subscribe(
+            'sensors/+',
+            message => {
+              received.push(message);
+            },
+            {decoder: 'json', schema}
+          );
+        });
+
+        it('should call the listener w/ a valid message', async function() {
+          await client.publish('sensors/a', '{"temp":20}', {qos: 1});
+          expect(received, 'to equal', [{temp: 20}]);
+          expect(invalid, 'to be empty');
+        });
+
+        it('should emit "invalid-message" for an invalid message', async function() {
+          await client.publish('sensors/a', '{"temp":"hot"}', {qos: 1});
+          expect(received, 'to be empty');
+          expect(invalid, 'to satisfy', [
+            {
+              topic: 'sensors/a',
+              message: {temp: 'hot'},
+              packet: {topic: 'sensors/a'},
+              errors: [{path: '/temp', keyword: 'type'}]
+            }
+          ]);
+        });
+      });
+
+      describe('publish()', function() {
+        it('should reject w/ a ValidationError for an invalid message', async function() {
+          return expect(
+            client.publish(
+              'sensors/a',
+              {temp: 'hot'},
+              {encoder: 'json', schema}
+            ),
+            'to be rejected with error satisfying',
+            expect.it('to be a', ValidationError).and('to satisfy', {
+              topic: 'sensors/a',
+              errors: [{path: '/temp', keyword: 'type'}]
+            })
+          );
+        });
+
+        it('should fulfill for a valid message', async function() {
+          return expect(
+            client.publish('sensors/a', {temp: 20}, {encoder: 'json', schema}),
+            'to be fulfilled'
+          );
+        });
+
+        it('should use a custom validator', async function() {
+          return expect(
+            client.publish('sensors/a', 'foo', {
+              schema: 'bar',
+              validator: (schema, value) =>
+                value === schema
+                  ? []
+                  : [{path: '', keyword: 'custom', message: 'nope'}]
+            }),
+            'to be rejected with error satisfying',
+            expect.it('to be a', ValidationError)
+          );
+        });
+      });
+
+      describe('connect()', function() {
+        beforeEach(async function() {
+          await client.end();
+          client = await connect(`mqtt://localhost:${port}`, {
+            encoder: 'json',
+            decoder: 'json',
+            schema
+          });
+        });
+
+        it('should apply the schema by default', async function() {
+          return expect(
+            client.publish('sensors/a', {temp: 'hot'}),
+            'to be rejected with error satisfying',
+            expect.it('to be a', ValidationError)
+          );
+        });
+
+        it('should not apply the schema to request()/respond()', async function() {
+          await client.respond('cmd', () => 'ok');
+          return expect(
+            client.request('cmd', 'hello'),
+            'to be fulfilled with',
+            'ok'
+          );
+        });
+      });
+    });
+
+    describe('request()', function() {
+      beforeEach(async function() {
+        await client.end();
+        client = await connect(`mqtt://localhost:${port}`, {
+          codecs: {'cmd/#': 'json'}
+        });
+      });
+
+      describe('when a handler responds', function() {
+        beforeEach(async function() {
+          await client.respond('cmd/:id', async (payload, packet, params) => {
+            if (payload.fail) {
+              throw Object.assign(new Error('nope'), {code: 'ENOPE'});
+            }
+            return {id: params.id, sum: payload.a + payload.b};
+          });
+        });
+
+        it('should fulfill with the response', async function() {
+          return expect(
+            client.request('cmd/abc', {a: 1, b: 2}),
+            'to be fulfilled with',
+            {id: 'abc', sum: 3}
+          );
+        });
+
+        it('should reject with the error thrown by the handler', async function() {
+          return expect(
+            client.request('cmd/abc', {fail: true}),
+            'to be rejected with error satisfying',
+            {message: 'nope', code: 'ENOPE', remote: true}
+          );
+        });
+
+        it('should share a single response topic subscription', async function() {
+          await Promise.all([
+            client.request('cmd/abc', {a: 1, b: 2}),
+            client.request('cmd/def', {a: 3, b: 4})
+          ]);
+          expect(
+            client.subscriptions().filter(({topic}) => /replies/.test(topic)),
+            'to satisfy',
+            [{listeners: expect.it('to have length', 1)}]
+          );
+        });
+
+        it('should unsubscribe from a custom response topic when done', async function() {
+          await client.request(
+            'cmd/abc',
+            {a: 1, b: 2},
+            {responseTopic: 'my/replies'}
+          );
+          expect(client.registry.has('my/replies'), 'to be false');
+        });
+      });
+
+      describe('codecs', function() {
+        it('should use the default codec of the topic', async function() {
+          await client.respond('echo', payload => payload.toUpperCase());
+          return expect(
+            client.request('echo', 'hello'),
+            'to be fulfilled with',
+            'HELLO'
+          );
+        });
+
+        it('should use the encoder and decoder options', async function() {
+          let received;
+          await client.respond(
+            'bin',
+            payload => {
+              received = payload;
+              return [payload.a];
+            },
+            {decoder: 'msgpack', encoder: 'msgpack'}
+          );
+          await expect(
+            client.request(
+              'bin',
+              {a: 1},
+              {encoder: 'msgpack', decoder: 'msgpack'}
+            ),
+            'to be fulfilled with',
+            [1]
+          );
+          expect(received, 'to equal', {a: 1});
+        });
+
+        it('should respond w/ the error if a request cannot be decoded', async function() {
+          await client.respond('strict', () => 'ok', {decoder: 'json'});
+          return expect(
+            client.request('strict', 'not json'),
+            'to be rejected with error satisfying',
+            {code: 'ECODEC', remote: true}
+          );
+        });
+
+        describe('schema', function() {
+          const schema = {
+            type: 'object',
+            properties: {a: {type: 'number'}},
+            required: ['a']
+          };
+
+          it('should reject if the request payload does not conform', async function() {
+            return expect(
+              client.request('cmd/abc', {a: 'x'}, {schema}),
+              'to be rejected with error satisfying',
+              expect.it('to be a', ValidationError)
+            );
+          });
+
+          it('should respond w/ the error if a request does not conform', async function() {
+            let called = false;
+            await client.respond(
+              'cmd/validated',
+              () => {
+                called = true;
+                return 'ok';
+              },
+              {schema}
+            );
+            await expect(
+              client.request('cmd/validated', {a: 'x'}),
+              'to be rejected with error satisfying',
+              {code: 'EVALIDATION', remote: true}
+            );
+            expect(called, 'to be false');
+          });
+
+          it('should call the handler if a request conforms', async function() {
+            await client.respond('cmd/validated', ({a}) => a + 1, {schema});
+            return expect(
+              client.request('cmd/validated', {a: 1}),
+              'to be fulfilled with',
+              2
+            );
+          });
+        });
+      });
+
+      describe('when nothing responds', function() {
+        it('should reject upon timeout', async function() {
+          return expect(
+            client.request('cmd/abc', {}, {timeout: 20}),
+            'to be rejected with error satisfying',
+            expect.it('to be a', RequestTimeoutError).and('to satisfy', {
+              code: 'ETIMEDOUT',
+              topic: 'cmd/abc',
+              timeout: 20
+            })
+          );
+        });
+
+        it('should reject upon disconnection', async function() {
+          const published = new Promise(resolve => {
+            broker.transformers.publish = packet => {
+              resolve();
+              return packet;
+            };
+          });
+          const response = expect(
+            client.request('cmd/abc', {}),
+            'to be rejected with',
+            /disconnected/
+          );
+          await published;
+          await client.end();
+          return response;
+        });
+      });
+    });
+
+    describe('use()', function() {
+      let received;
+
+      beforeEach(async function() {
+        received = [];
+        await client.subscribe('devices/+/status', (message, packet) => {
+          received.push({topic: packet.topic, message});
+        });
+      });
+
+      it('should run middleware before listeners', async function() {
+        client.use((ctx, next) => {
+          received.push({middleware: ctx.message});
+          return next();
+        });
+        await client.publish('devices/abc/status', 'online', {qos: 1});
+        expect(received, 'to equal', [
+          {middleware: 'online'},
+          {topic: 'devices/abc/status', message: 'online'}
+        ]);
+      });
+
+      it('should allow middleware to stop a message', async function() {
+        client.use((ctx, next) => {});
+        await client.publish('devices/abc/status', 'online', {qos: 1});
+        expect(received, 'to be empty');
+      });
+
+      it('should allow middleware to change a message', async function() {
+        client.use((ctx, next) => {
+          ctx.message = ctx.message.toUpperCase();
+          return next();
+        });
+        await client.publish('devices/abc/status', 'online', {qos: 1});
+        expect(received, 'to equal', [
+          {topic: 'devices/abc/status', message: 'ONLINE'}
+        ]);
+      });
+
+      it('should emit "error" if middleware throws', async function() {
+        const error = new Error('nope');
+        client.use(() => {
+          throw error;
+        });
+        const errored = new Promise(resolve => {
+          client.once('error', resolve);
+        });
+        await client.publish('devices/abc/status', 'online', {qos: 1});
+        return expect(errored, 'to be fulfilled with', error);
+      });
+    });
+
+    describe('route()', function() {
+      it('should run middleware for matching topics only', async function() {
+        const received = [];
+        client.route('devices/:deviceId/status').use((ctx, next) => {
+          if (ctx.params.deviceId !== 'banned') {
+            return next();
+          }
+        });
+        await client.subscribe('devices/+/status', (message, packet) => {
+          received.push(packet.topic);
+        });
+        await client.publish('devices/banned/status', 'online', {qos: 1});
+        await client.publish('devices/abc/status', 'online', {qos: 1});
+        expect(received, 'to equal', ['devices/abc/status']);
+      });
+    });
+
+    describe('messages()', function() {
+      it('should iterate over received messages', async function() {
+        const iterator = client.messages('devices/:deviceId/temp', {
+          decoder: 'json'
+        });
+        const next = iterator.next();
+        await client.publish('devices/abc/temp', 20, {
+          encoder: 'json',
+          qos: 1
+        });
+        expect(await next, 'to satisfy', {
+          done: false,
+          value: {
+            topic: 'devices/abc/temp',
+            message: 20,
+            packet: {topic: 'devices/abc/temp'},
+            params: {deviceId: 'abc'}
+          }
+        });
+        await iterator.return();
+      });
+
+      it('should unsubscribe on return()', async function() {
+        const iterator = client.messages('foo/bar');
+        await iterator.subscribed;
+        expect(client.subscriptions(), 'to have length', 1);
+        await iterator.return();
+        expect(client.subscriptions(), 'to be empty');
+        expect(await iterator.next(), 'to equal', {
+          value: undefined,
+          done: true
+        });
+      });
+
+      it('should finish when the client ends', async function() {
+        const iterator = client.messages('foo/bar');
+        const next = iterator.next();
+        await client.end();
+        expect(await next, 'to satisfy', {done: true});
+      });
+
+      describe('when the buffer overflows', function() {
+        const publishAll = async () => {
+          for (const message of ['a', 'b', 'c']) {
+            await client.publish('foo/bar', message, {qos: 1});
+          }
+        };
+
+        const drain = async (iterator, count) => {
+          const messages = [];
+          while (count--) {
+            messages.push((await iterator.next()).value.message);
+          }
+          return messages;
+        };
+
+        it('should drop the oldest messages by default', async function() {
+          const iterator = client.messages('foo/bar', {highWaterMark: 2});
+          await iterator.subscribed;
+          await publishAll();
+          expect(await drain(iterator, 2), 'to equal', ['b', 'c']);
+          await iterator.return();
+        });
+
+        it('should drop the newest messages w/ "drop-newest"', async function() {
+          const iterator = client.messages('foo/bar', {
+            highWaterMark: 2,
+            overflow: 'drop-newest'
+          });
+          await iterator.subscribed;
+          await publishAll();
+          expect(await drain(iterator, 2), 'to equal', ['a', 'b']);
+          await iterator.return();
+        });
+
+        it('should pause the connection w/ "pause"', async function() {
+          const iterator = client.messages('foo/bar', {
+            highWaterMark: 1,
+            overflow: 'pause'
+          });
+          await iterator.subscribed;
+          await client.publish('foo/bar', 'a', {qos: 1});
+          expect(client.stream.isPaused(), 'to be true');
+          expect(await drain(iterator, 1), 'to equal', ['a']);
+          expect(client.stream.isPaused(), 'to be false');
+          await iterator.return();
+        });
+      });
+
+      it('should reject an unknown overflow policy', function() {
+        expect(
+          () => client.messages('foo/bar', {overflow: 'explode'}),
+          'to throw',
+          TypeError
+        );
+      });
+    });
+
+    describe('createReadStream()', function() {
+      it('should stream received messages', async function() {
+        const stream = client.createReadStream('foo/+', {decoder: 'json'});
+        const received = new Promise(resolve => {
+          stream.once('data', resolve);
+        });
+        await client.publish('foo/bar', {baz: 1}, {encoder: 'json', qos: 1});
+        expect(await received, 'to satisfy', {
+          topic: 'foo/bar',
+          message: {baz: 1}
+        });
+        stream.destroy();
+        await new Promise(resolve => stream.once('close', resolve));
+        expect(client.subscriptions(), 'to be empty');
+      });
+    });
+
+    describe('createWriteStream()', function() {
+      it('should publish written messages', async function() {
+        let listener;
+        const received = new Promise(resolve => {
+          listener = resolve;
+        });
+        await client.subscribe('foo/bar', listener, {decoder: 'json'});
+        const stream = client.createWriteStream('foo/bar', {
+          encoder: 'json',
+          qos: 1
+        });
+        stream.end({baz: 1});
+        expect(await received, 'to equal', {baz: 1});
+      });
+    });
+
+    describe('waitFor()', function() {
+      it('should fulfill w/ the first matching message', async function() {
+        const promise = client.waitFor(
+          'devices/:deviceId/state',
+          (message, packet, {deviceId}) =>
+            deviceId === 'abc' && message.state === 'online',
+          {decoder: 'json'}
+        );
+        for (const [topic, state] of [
+          ['devices/abc/state', 'offline'],
+          ['devices/def/state', 'online'],
+          ['devices/abc/state', 'online']
+        ]) {
+          await client.publish(topic, {state}, {encoder: 'json', qos: 1});
+        }
+        expect(await promise, 'to equal', {state: 'online'});
+        expect(client.subscriptions(), 'to be empty');
+      });
+
+      it('should accept the first message if no predicate given', async function() {
+        const promise = client.waitFor('foo/bar', {qos: 1});
+        await client.publish('foo/bar', 'baz', {qos: 1});
+        expect(await promise, 'to equal', 'baz');
+      });
+
+      it('should reuse an existing subscription', async function() {
+        const listener = () => {};
+        await client.subscribe('foo/bar', listener);
+        const promise = client.waitFor('foo/bar');
+        await client.publish('foo/bar', 'baz', {qos: 1});
+        await promise;
+        expect(client.topicListeners('foo/bar'), 'to satisfy', [{listener}]);
+      });
+
+      it('should reject on timeout', async function() {
+        await expect(
+          client.waitFor('foo/bar', {timeout: 20}),
+          'to be rejected with error satisfying',
+          expect.it('to be a', WaitTimeoutError).and('to satisfy', {
+            code: 'ETIMEDOUT',
+            topic: 'foo/bar'
+          })
+        );
+        expect(client.subscriptions(), 'to be empty');
+      });
+
+      it('should reject when aborted', async function() {
+        const emitter = new EventEmitter();
+        const signal = {
+          aborted: false,
+          addEventListener: emitter.on.bind(emitter),
+          removeEventListener: emitter.removeListener.bind(emitter)
+        };
+        const promise = expect(
+          client.waitFor('foo/bar', {signal}),
+          'to be rejected with error satisfying',
+          {name: 'AbortError'}
+        );
+        signal.aborted = true;
+        emitter.emit('abort');
+        await promise;
+      });
+
+      it('should not unsubscribe if the subscription was rejected', async function() {
+        broker.transformers.subscribe = packet => ({
+          messageId: packet.messageId,
+          granted: [128]
+        });
+        const unsubscribe = client.unsubscribe;
+        let unsubscribed = false;
+        client.unsubscribe = function(...args) {
+          unsubscribed = true;
+          return unsubscribe.apply(this, args);
+        };
+        await expect(
+          client.waitFor('foo/bar'),
+          'to be rejected with error satisfying',
+          expect.it('to be a', SubscriptionRejectedError)
+        );
+        expect(unsubscribed, 'to be false');
+      });
+
+      it('should unsubscribe once subscribed if settled meanwhile', async function() {
+        await expect(
+          client.waitFor('foo/bar', {timeout: 1}),
+          'to be rejected with error satisfying',
+          expect.it('to be a', WaitTimeoutError)
+        );
+        await client.whenConnected();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(client.subscriptions(), 'to be empty');
+      });
+
+      it('should reject on disconnect', async function() {
+        const promise = expect(
+          client.waitFor('foo/bar'),
+          'to be rejected with',
+          /disconnected/
+        );
+        await client.end();
+        await promise;
+      });
+    });
+
+    describe('getRetained()', function() {
+      beforeEach(async function() {
+        await client.publish('sensors/a/temp', 20, {
+          encoder: 'json',
+          retain: true,
+          qos: 1
+        });
+        await client.publish('sensors/b/temp', 21, {
+          encoder: 'json',
+          retain: true,
+          qos: 1
+        });
+      });
+
+      it('should fulfill w/ retained values by topic', async function() {
+        expect(
+          await client.getRetained('sensors/+/temp', {decoder: 'json'}),
+          'to equal',
+          {'sensors/a/temp': 20, 'sensors/b/temp': 21}
+        );
+        expect(client.subscriptions(), 'to be empty');
+      });
+
+      it('should fulfill w/ an empty object if nothing is retained', async function() {
+        expect(await client.getRetained('actuators/#'), 'to equal', {});
+      });
+
+      it('should collect retained values of a subscribed filter', async function() {
+        const received = [];
+        await client.subscribe('sensors/#', message => {
+          received.push(message);
+        });
+        expect(await client.getRetained('sensors/#'), 'to have keys', [
+          'sensors/a/temp',
+          'sensors/b/temp'
+        ]);
+        expect(client.subscriptions(), 'to satisfy', [{topic: 'sensors/#'}]);
+      });
+    });
+
+    describe('clearRetained()', function() {
+      it('should remove the retained message', async function() {
+        await client.publish('sensors/a/temp', 20, {
+          encoder: 'json',
+          retain: true,
+          qos: 1
+        });
+        await client.clearRetained('sensors/a/temp', {qos: 1});
+        expect(await client.getRetained('sensors/#'), 'to equal', {});
+      });
+    });
+
+    describe('retainedCache()', function() {
+      let cache;
+
+      beforeEach(async function() {
+        await client.publish('sensors/a/temp', 20, {
+          encoder: 'json',
+          retain: true,
+          qos: 1
+        });
+        cache = await client.retainedCache('sensors/:id/temp', {
+          decoder: 'json'
+        });
+        await client.waitFor('sensors/a/temp');
+      });
+
+      it('should start w/ retained values', function() {
+        expect(cache.toJSON(), 'to equal', {'sensors/a/temp': 20});
+      });
+
+      it('should track changes', async function() {
+        const changed = new Promise(resolve => {
+          cache.once('change', (...args) => resolve(args));
+        });
+        await client.publish('sensors/b/temp', 21, {encoder: 'json', qos: 1});
+        expect(await changed, 'to equal', ['sensors/b/temp', 21]);
+        expect(cache.get('sensors/b/temp'), 'to be', 21);
+        expect(cache.size, 'to be', 2);
+      });
+
+      it('should forget cleared topics', async function() {
+        const deleted = new Promise(resolve => {
+          cache.once('delete', resolve);
+        });
+        await client.clearRetained('sensors/a/temp', {qos: 1});
+        expect(await deleted, 'to be', 'sensors/a/temp');
+        expect(cache.has('sensors/a/temp'), 'to be false');
+      });
+
+      it('should unsubscribe when closed', async function() {
+        await cache.close();
+        expect(client.subscriptions(), 'to be empty');
+      });
+    });
+
+    describe('scope()', function() {
+      let scope;
+
+      beforeEach(function() {
+        scope = client.scope('tenants/acme');
+      });
+
+      it('should prefix topics & strip the prefix from received packets', async function() {
+        const received = [];
+        await scope.subscribe('devices/:id', (message, packet, {id}) => {
+          received.push([message, packet.topic, id]);
+        });
+        await scope.publish('devices/abc', 'on', {qos: 1});
+        await client.publish('devices/def', 'off', {qos: 1});
+        expect(received, 'to equal', [['on', 'devices/abc', 'abc']]);
+        expect(client.subscriptions(), 'to satisfy', [
+          {topic: 'tenants/acme/devices/+'}
+        ]);
+      });
+
+      it('should keep a shared subscription prefix in front', async function() {
+        await expect(
+          scope.subscribe('$share/workers/jobs', () => {}),
+          'to be fulfilled with value satisfying',
+          {topic: '$share/workers/tenants/acme/jobs'}
+        );
+      });
+
+      it('should wait for messages', async function() {
+        const waiting = scope.waitFor(
+          'devices/+',
+          (message, packet) => packet.topic === 'devices/def'
+        );
+        await scope.publish('devices/abc', 'on', {qos: 1});
+        await scope.publish('devices/def', 'off', {qos: 1});
+        expect(await waiting, 'to equal', 'off');
+      });
+
+      it('should nest', async function() {
+        const received = [];
+        await scope.scope('devices').subscribe('+/state', (message, packet) => {
+          received.push(packet.topic);
+        });
+        await client.publish('tenants/acme/devices/abc/state', 'on', {qos: 1});
+        expect(received, 'to equal', ['abc/state']);
+      });
+
+      it('should reject a prefix w/ wildcards', function() {
+        expect(
+          () => client.scope('tenants/+'),
+          'to throw an',
+          InvalidTopicError
+        );
+      });
+
+      describe('unsubscribe()', function() {
+        it("should only remove the scope's own listeners", async function() {
+          const received = [];
+          await client.subscribe('tenants/acme/foo', message => {
+            received.push(message);
+          });
+          await scope.subscribe('foo', () => {});
+          await expect(scope.unsubscribe('foo'), 'to be fulfilled with', false);
+          await scope.publish('foo', 'bar', {qos: 1});
+          expect(received, 'to equal', ['bar']);
+        });
+
+        it('should unsubscribe upon the last listener', async function() {
+          const listener = () => {};
+          await scope.subscribe('foo', listener);
+          await expect(
+            scope.unsubscribe('foo', listener),
+            'to be fulfilled with',
+            true
+          );
+          expect(client.subscriptions(), 'to be empty');
+        });
+      });
+
+      describe('end()', function() {
+        it('should remove the listeners of the scope & its children', async function() {
+          const listener = () => {};
+          await client.subscribe('tenants/acme/foo', listener);
+          await scope.subscribe('foo', () => {});
+          await scope.subscribe('bar/#', () => {});
+          const child = scope.scope('baz');
+          await child.subscribe('quux', () => {});
+          await scope.end();
+          expect(client.subscriptions(), 'to satisfy', [
+            {topic: 'tenants/acme/foo', listeners: [{listener}]}
+          ]);
+          expect(scope.children.size, 'to be', 0);
+        });
+      });
+    });
+
+    describe('topicListeners()', function() {
+      const listener = () => {};
+
+      beforeEach(async function() {
+        return client.subscribe('foo/+', listener, {qos: 1, decoder: 'json'});
+      });
+
+      it('should return the original listeners of a topic', function() {
+        expect(client.topicListeners('foo/+'), 'to equal', [
+          {listener, decoder: decoders.json, qos: 1}
+        ]);
+      });
+
+      it('should return an empty array for a topic not subscribed', function() {
+        expect(client.topicListeners('bar/baz'), 'to equal', []);
+      });
+    });
+
+    describe('listeners()', function() {
+      it('should be left to EventEmitter, even for topics named like events', async function() {
+        const onError = () => {};
+        client.on('error', onError);
+        await client.subscribe('error', () => {});
+        expect(client.listeners('error'), 'to contain', onError).and(
+          'to have items satisfying',
+          'to be a function'
+        );
+        expect(client.listeners('message'), 'to have length', 1);
+      });
+    });
+
+    describe('subscriptions()', function() {
+      const listenerA = () => {};
+      const listenerB = () => {};
+
+      beforeEach(async function() {
+        await client.subscribe('foo/+', listenerA, {qos: 1});
+        await client.subscribe('foo/+', listenerB);
+        await client.subscribe('bar/#', listenerA, {qos: 2});
+      });
+
+      it('should return all subscribed topics and their listeners', function() {
+        expect(client.subscriptions(), 'to equal', [
+          {
+            topic: 'foo/+',
+            qos: 1,
+            listeners: [
+              {listener: listenerA, decoder: decoders.text, qos: 1},
+              {listener: listenerB, decoder: decoders.text, qos: 0}
+            ]
+          },
+          {
+            topic: 'bar/#',
+            qos: 2,
+            listeners: [{listener: listenerA, decoder: decoders.text, qos: 2}]
+          }
+        ]);
+      });
     });
 
     describe('end()', function() {
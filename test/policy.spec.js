@@ -0,0 +1,200 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {
+  DROPPED,
+  createPolicy,
+  pickPolicy,
+  resolvePolicyMap
+} = require('../lib/policy');
+const {InvalidArgumentError} = require('../lib/errors');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('policy', function() {
+  let calls;
+  const handle = value => () => {
+    calls.push(value);
+    return value;
+  };
+
+  beforeEach(function() {
+    calls = [];
+  });
+
+  describe('pickPolicy()', function() {
+    it('should pick the policy from options', function() {
+      expect(pickPolicy({qos: 1, throttle: 100}), 'to equal', {
+        name: 'throttle',
+        value: 100
+      });
+    });
+
+    it('should return null if none', function() {
+      expect(pickPolicy({qos: 1}), 'to be null');
+    });
+
+    it('should throw if given more than one', function() {
+      expect(
+        () => pickPolicy({throttle: 100, debounce: 100}),
+        'to throw an',
+        InvalidArgumentError
+      );
+    });
+  });
+
+  describe('createPolicy()', function() {
+    it('should throw if given a bad value', function() {
+      expect(
+        () => createPolicy({name: 'debounce', value: -1}),
+        'to throw',
+        'invalid debounce; expected a positive number'
+      );
+      expect(
+        () => createPolicy({name: 'every', value: 1.5}),
+        'to throw an',
+        InvalidArgumentError
+      );
+      expect(
+        () => createPolicy({name: 'rateLimit', value: {rate: 1, burst: 0}}),
+        'to throw an',
+        InvalidArgumentError
+      );
+    });
+  });
+
+  describe('rateLimit', function() {
+    it('should let through a burst, then drop the rest', async function() {
+      const policy = createPolicy({
+        name: 'rateLimit',
+        value: {rate: 1, interval: 50, burst: 2}
+      });
+      const results = await Promise.all([
+        policy.submit('foo', handle(1)),
+        policy.submit('foo', handle(2)),
+        policy.submit('foo', handle(3)),
+        policy.submit('bar', handle(4))
+      ]);
+      expect(results, 'to equal', [1, 2, DROPPED, 4]);
+      await delay(60);
+      expect(await policy.submit('foo', handle(5)), 'to be', 5);
+    });
+
+    it('should forget keys whose buckets have refilled', async function() {
+      const policy = createPolicy({
+        name: 'rateLimit',
+        value: {rate: 1, interval: 20}
+      });
+      await policy.submit('foo', handle(1));
+      await delay(30);
+      await policy.submit('bar', handle(2));
+      expect(Array.from(policy.state.keys()), 'to equal', ['bar']);
+    });
+  });
+
+  describe('throttle', function() {
+    it('should drop messages for a while after one is let through', async function() {
+      const policy = createPolicy({name: 'throttle', value: 50});
+      expect(await policy.submit('foo', handle(1)), 'to be', 1);
+      expect(await policy.submit('foo', handle(2)), 'to be', DROPPED);
+      await delay(60);
+      expect(await policy.submit('foo', handle(3)), 'to be', 3);
+      expect(calls, 'to equal', [1, 3]);
+    });
+
+    it('should forget keys whose windows have passed', async function() {
+      const policy = createPolicy({name: 'throttle', value: 20});
+      await policy.submit('foo', handle(1));
+      await delay(30);
+      await policy.submit('bar', handle(2));
+      expect(Array.from(policy.state.keys()), 'to equal', ['bar']);
+    });
+  });
+
+  describe('every', function() {
+    it('should let through every nth message per key', async function() {
+      const policy = createPolicy({name: 'every', value: 2});
+      const results = await Promise.all(
+        [1, 2, 3, 4].map(value => policy.submit('foo', handle(value)))
+      );
+      expect(results, 'to equal', [DROPPED, 2, DROPPED, 4]);
+      expect(await policy.submit('bar', handle(5)), 'to be', DROPPED);
+    });
+
+    it('should forget keys whose counts have started over', async function() {
+      const policy = createPolicy({name: 'every', value: 2});
+      await policy.submit('foo', handle(1));
+      expect(policy.state.size, 'to be', 1);
+      await policy.submit('foo', handle(2));
+      expect(policy.state.size, 'to be', 0);
+    });
+  });
+
+  describe('debounce', function() {
+    it('should let through the last message once things are quiet', async function() {
+      const policy = createPolicy({name: 'debounce', value: 50});
+      const first = policy.submit('foo', handle(1));
+      await delay(30);
+      const second = policy.submit('foo', handle(2));
+      await delay(30);
+      expect(calls, 'to be empty');
+      expect(await first, 'to be', DROPPED);
+      expect(await second, 'to be', 2);
+      expect(calls, 'to equal', [2]);
+    });
+  });
+
+  describe('coalesce', function() {
+    it('should let through the latest message per interval', async function() {
+      const policy = createPolicy({name: 'coalesce', value: 50});
+      const first = policy.submit('foo', handle(1));
+      await delay(20);
+      const second = policy.submit('foo', handle(2));
+      await delay(50);
+      expect(calls, 'to equal', [2]);
+      expect(await Promise.all([first, second]), 'to equal', [DROPPED, 2]);
+    });
+
+    it('should reject if the handler throws', async function() {
+      const policy = createPolicy({name: 'coalesce', value: 10});
+      return expect(
+        policy.submit('foo', () => {
+          throw new Error('nope');
+        }),
+        'to be rejected with',
+        'nope'
+      );
+    });
+
+    it('should drop waiting messages when cancelled', async function() {
+      const policy = createPolicy({name: 'coalesce', value: 10});
+      const submitted = policy.submit('foo', handle(1));
+      policy.cancel();
+      expect(await submitted, 'to be', DROPPED);
+      await delay(20);
+      expect(calls, 'to be empty');
+    });
+  });
+
+  describe('resolvePolicyMap()', function() {
+    it('should create a policy for each filter', function() {
+      expect(
+        resolvePolicyMap({'sensors/#': {throttle: 100}, foo: {every: 2}}),
+        'to satisfy',
+        [
+          {filter: 'sensors/#', policy: {ms: 100}},
+          {filter: 'foo', policy: {n: 2}}
+        ]
+      );
+    });
+
+    it('should throw if a filter has no policy', function() {
+      expect(
+        () => resolvePolicyMap({foo: {}}),
+        'to throw',
+        /invalid policy for "foo"/
+      );
+    });
+  });
+});
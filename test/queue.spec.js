@@ -0,0 +1,145 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {EventEmitter} = require('events');
+const {FileStore, PublishQueue} = require('../lib/queue');
+const {PublishEvictedError} = require('../lib/errors');
+
+describe('queue', function() {
+  describe('PublishQueue', function() {
+    let client;
+    let sent;
+    let send;
+
+    beforeEach(function() {
+      client = Object.assign(new EventEmitter(), {connected: false});
+      sent = [];
+      send = async (topic, payload, opts) => {
+        sent.push({topic, payload, opts});
+      };
+    });
+
+    it('should queue while offline', async function() {
+      const queue = new PublishQueue(client, send);
+      await queue.ready;
+      expect(queue.shouldQueue(), 'to be true');
+      client.connected = true;
+      expect(queue.shouldQueue(), 'to be false');
+    });
+
+    it('should replay queued messages in order', async function() {
+      const queue = new PublishQueue(client, send);
+      const published = [
+        queue.enqueue('foo', 'a', {qos: 1, encoder: String}),
+        queue.enqueue('bar', 'b')
+      ];
+      await queue.ready;
+      client.connected = true;
+      await queue.flush();
+      await Promise.all(published);
+      expect(sent, 'to equal', [
+        {topic: 'foo', payload: 'a', opts: {qos: 1}},
+        {topic: 'bar', payload: 'b', opts: {}}
+      ]);
+      expect(queue.size, 'to be', 0);
+    });
+
+    it('should drop the oldest message when full', async function() {
+      const queue = new PublishQueue(client, send, {maxSize: 1});
+      const first = queue.enqueue('foo', 'a');
+      const second = queue.enqueue('foo', 'b');
+      await expect(
+        first,
+        'to be rejected with error satisfying',
+        expect.it('to be a', PublishEvictedError).and('to satisfy', {
+          code: 'EEVICTED',
+          reason: 'overflow',
+          topic: 'foo'
+        })
+      );
+      client.connected = true;
+      await queue.flush();
+      await second;
+      expect(sent, 'to satisfy', [{payload: 'b'}]);
+    });
+
+    it('should reject the newest message w/ "drop-newest"', async function() {
+      const queue = new PublishQueue(client, send, {
+        maxSize: 1,
+        overflow: 'drop-newest'
+      });
+      queue.enqueue('foo', 'a');
+      await expect(
+        queue.enqueue('foo', 'b'),
+        'to be rejected with error satisfying',
+        {code: 'EEVICTED'}
+      );
+      expect(queue.size, 'to be', 1);
+    });
+
+    it('should evict expired messages', async function() {
+      const queue = new PublishQueue(client, send, {maxAge: 10});
+      const published = queue.enqueue('foo', 'a');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      client.connected = true;
+      await queue.flush();
+      await expect(published, 'to be rejected with error satisfying', {
+        code: 'EEVICTED',
+        reason: 'expired'
+      });
+      expect(sent, 'to be empty');
+    });
+
+    it('should reject an unknown overflow policy', function() {
+      expect(
+        () => new PublishQueue(client, send, {overflow: 'pause'}),
+        'to throw',
+        TypeError
+      );
+    });
+  });
+
+  describe('FileStore', function() {
+    let filename;
+
+    beforeEach(function() {
+      filename = path.join(os.tmpdir(), `mqttletoad-queue-${Date.now()}.json`);
+    });
+
+    afterEach(function() {
+      try {
+        fs.unlinkSync(filename);
+      } catch (ignored) {}
+    });
+
+    it('should persist packets across instances', async function() {
+      const client = Object.assign(new EventEmitter(), {connected: false});
+      const queue = new PublishQueue(client, async () => {}, {
+        store: new FileStore(filename)
+      });
+      queue.enqueue('foo', Buffer.from('a'));
+      queue.enqueue('bar', 'b', {qos: 2});
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const sent = [];
+      const restored = new PublishQueue(
+        client,
+        async (topic, payload, opts) => {
+          sent.push({topic, payload, opts});
+        },
+        {store: new FileStore(filename)}
+      );
+      client.connected = true;
+      await restored.flush();
+      expect(sent, 'to equal', [
+        {topic: 'foo', payload: Buffer.from('a'), opts: {}},
+        {topic: 'bar', payload: 'b', opts: {qos: 2}}
+      ]);
+      expect(JSON.parse(fs.readFileSync(filename, 'utf8')), 'to be empty');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {SubscriptionRegistry} = require('../lib/registry');
+
+describe('registry', function() {
+  let registry;
+
+  beforeEach(function() {
+    registry = new SubscriptionRegistry();
+  });
+
+  describe('acquire()', function() {
+    it('should create a subscription for an unknown topic', function() {
+      expect(registry.acquire('foo/+'), 'to satisfy', {
+        topic: 'foo/+',
+        requestedQos: -1,
+        refCount: 0
+      });
+    });
+
+    it('should return the same subscription for a known topic', function() {
+      expect(registry.acquire('foo/+'), 'to be', registry.acquire('foo/+'));
+    });
+  });
+
+  describe('release()', function() {
+    it('should keep a subscription with listeners', function() {
+      registry.acquire('foo').addListener(() => {});
+      expect(registry.release('foo'), 'to be false');
+      expect(registry.has('foo'), 'to be true');
+    });
+
+    it('should remove a subscription without listeners', function() {
+      const listener = () => {};
+      const subscription = registry.acquire('foo');
+      subscription.addListener(listener);
+      subscription.removeListener(listener);
+      expect(registry.release('foo'), 'to be true');
+      expect(registry.has('foo'), 'to be false');
+    });
+  });
+
+  describe('Subscription', function() {
+    let subscription;
+    let calls;
+    const subscribe = async qos => {
+      calls.push(qos);
+      return {topic: 'foo', qos};
+    };
+
+    beforeEach(function() {
+      calls = [];
+      subscription = registry.acquire('foo');
+    });
+
+    describe('removeListener()', function() {
+      it('should only remove a single reference', function() {
+        const listener = () => {};
+        subscription.addListener(listener);
+        subscription.addListener(listener);
+        subscription.removeListener(listener);
+        expect(subscription.refCount, 'to be', 1);
+      });
+
+      it('should return the removed record', function() {
+        const listener = () => {};
+        const wrapper = () => {};
+        subscription.addListener(listener, {wrapper});
+        expect(subscription.removeListener(listener), 'to equal', {
+          listener,
+          wrapper
+        });
+      });
+
+      it('should return nothing for an unknown listener', function() {
+        expect(subscription.removeListener(() => {}), 'to be undefined');
+      });
+    });
+
+    describe('ensure()', function() {
+      it('should subscribe once for the same QoS', async function() {
+        await subscription.ensure(1, subscribe);
+        await expect(
+          subscription.ensure(1, subscribe),
+          'to be fulfilled with',
+          {topic: 'foo', qos: 1}
+        );
+        expect(calls, 'to equal', [1]);
+      });
+
+      it('should not subscribe for a lower QoS', async function() {
+        await subscription.ensure(2, subscribe);
+        await subscription.ensure(0, subscribe);
+        expect(calls, 'to equal', [2]);
+      });
+
+      it('should subscribe again for a higher QoS', async function() {
+        await subscription.ensure(0, subscribe);
+        await subscription.ensure(2, subscribe);
+        expect(calls, 'to equal', [0, 2]);
+      });
+
+      it('should wait on an in-flight request', async function() {
+        await Promise.all([
+          subscription.ensure(1, subscribe),
+          subscription.ensure(1, subscribe)
+        ]);
+        expect(calls, 'to equal', [1]);
+      });
+
+      it('should record the QoS granted by the broker', async function() {
+        await subscription.ensure(2, async qos => ({topic: 'foo', qos: 1}));
+        expect(subscription, 'to satisfy', {qos: 1, requestedQos: 2});
+      });
+
+      it('should allow a retry if the request failed', async function() {
+        await expect(
+          subscription.ensure(1, async () => {
+            throw new Error('nope');
+          }),
+          'to be rejected with',
+          'nope'
+        );
+        await subscription.ensure(1, subscribe);
+        expect(calls, 'to equal', [1]);
+      });
+
+      describe('"No Local"', function() {
+        let flags;
+        const subscribeNoLocal = async (qos, noLocal) => {
+          flags.push([qos, noLocal]);
+          return {topic: 'foo', qos};
+        };
+
+        beforeEach(function() {
+          flags = [];
+        });
+
+        it('should be requested by the first SUBSCRIBE', async function() {
+          await subscription.ensure(1, subscribeNoLocal, true);
+          await subscription.ensure(2, subscribeNoLocal, true);
+          expect(flags, 'to equal', [[1, true], [2, true]]);
+        });
+
+        it('should not be turned on later', async function() {
+          await subscription.ensure(1, subscribeNoLocal);
+          await subscription.ensure(1, subscribeNoLocal, true);
+          expect(flags, 'to equal', [[1, false]]);
+          expect(subscription.noLocal, 'to be false');
+        });
+
+        it('should be turned off for a listener wanting own messages', async function() {
+          await subscription.ensure(1, subscribeNoLocal, true);
+          await subscription.ensure(0, subscribeNoLocal);
+          expect(flags, 'to equal', [[1, true], [1, false]]);
+          expect(subscription.noLocal, 'to be false');
+        });
+
+        it('should be restored if the request failed', async function() {
+          await subscription.ensure(1, subscribeNoLocal, true);
+          await expect(
+            subscription.ensure(0, async () => {
+              throw new Error('nope');
+            }),
+            'to be rejected with',
+            'nope'
+          );
+          expect(subscription, 'to satisfy', {noLocal: true, requestedQos: 1});
+        });
+      });
+    });
+  });
+});
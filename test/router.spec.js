@@ -0,0 +1,158 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {Context, Router} = require('../lib/router');
+const decoders = require('../lib/decoders');
+
+describe('router', function() {
+  let router;
+  let ctx;
+
+  beforeEach(function() {
+    router = new Router();
+    ctx = new Context({
+      topic: 'devices/abc/status',
+      payload: Buffer.from('{"online":true}'),
+      packet: {},
+      decoder: decoders.json
+    });
+  });
+
+  describe('Context', function() {
+    it('should decode the payload w/ the decoder', function() {
+      expect(ctx.message, 'to equal', {online: true});
+    });
+
+    it('should decode a reassigned payload', function() {
+      expect(ctx.message, 'to equal', {online: true});
+      ctx.payload = Buffer.from('{"online":false}');
+      expect(ctx.message, 'to equal', {online: false});
+    });
+
+    it('should flag an assigned message', function() {
+      ctx.message = 'foo';
+      expect(ctx, 'to satisfy', {message: 'foo', messageAssigned: true});
+    });
+  });
+
+  describe('use()', function() {
+    it('should throw if not given a function', function() {
+      expect(() => router.use({}), 'to throw', TypeError);
+    });
+  });
+
+  describe('handle()', function() {
+    it('should call middleware in order, then call done', async function() {
+      const calls = [];
+      router.use(
+        (ctx, next) => {
+          calls.push('a');
+          return next();
+        },
+        (ctx, next) => {
+          calls.push('b');
+          return next();
+        }
+      );
+      await router.handle(ctx, () => {
+        calls.push('done');
+      });
+      expect(calls, 'to equal', ['a', 'b', 'done']);
+    });
+
+    it('should call done synchronously if middleware is synchronous', function() {
+      let called = false;
+      router.use((ctx, next) => next());
+      router.handle(ctx, () => {
+        called = true;
+      });
+      expect(called, 'to be true');
+    });
+
+    it('should not call done if middleware does not call next()', async function() {
+      let called = false;
+      router.use(() => {});
+      await router.handle(ctx, () => {
+        called = true;
+      });
+      expect(called, 'to be false');
+    });
+
+    it('should wait for asynchronous middleware', async function() {
+      let called = false;
+      router.use(async (ctx, next) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return next();
+      });
+      await router.handle(ctx, () => {
+        called = true;
+      });
+      expect(called, 'to be true');
+    });
+
+    it('should reject if middleware throws', async function() {
+      router.use(() => {
+        throw new Error('nope');
+      });
+      return expect(
+        router.handle(ctx, () => {}),
+        'to be rejected with',
+        'nope'
+      );
+    });
+
+    it('should reject if next() is called more than once', async function() {
+      router.use((ctx, next) => {
+        next();
+        return next();
+      });
+      return expect(
+        router.handle(ctx, () => {}),
+        'to be rejected with',
+        /multiple times/
+      );
+    });
+
+    describe('route', function() {
+      it('should only call middleware of matching routes', async function() {
+        const calls = [];
+        router.route('devices/+/status').use((ctx, next) => {
+          calls.push('match');
+          return next();
+        });
+        router.route('devices/+/config').use((ctx, next) => {
+          calls.push('no match');
+          return next();
+        });
+        await router.handle(ctx, () => {});
+        expect(calls, 'to equal', ['match']);
+      });
+
+      it('should provide the named parameters', async function() {
+        let params;
+        router.route('devices/:deviceId/#').use((ctx, next) => {
+          params = ctx.params;
+          return next();
+        });
+        await router.handle(ctx, () => {});
+        expect(params, 'to equal', {deviceId: 'abc'});
+      });
+
+      it('should run at its position in the stack', async function() {
+        const calls = [];
+        const route = router.route('devices/#');
+        router.use((ctx, next) => {
+          calls.push('global');
+          return next();
+        });
+        route.use((ctx, next) => {
+          calls.push('route');
+          return next();
+        });
+        await router.handle(ctx, () => {});
+        expect(calls, 'to equal', ['route', 'global']);
+      });
+    });
+  });
+});
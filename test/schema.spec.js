@@ -0,0 +1,88 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {validate, ValidationError} = require('../lib/schema');
+
+describe('schema', function() {
+  describe('validate()', function() {
+    const schema = {
+      type: 'object',
+      required: ['id', 'temp'],
+      additionalProperties: false,
+      properties: {
+        id: {type: 'string', pattern: '^[a-z]+$'},
+        temp: {type: 'number', minimum: -40, maximum: 125},
+        status: {enum: ['online', 'offline']},
+        tags: {type: 'array', maxItems: 2, items: {type: 'string'}}
+      }
+    };
+
+    it('should return no violations for a valid value', function() {
+      expect(
+        validate(schema, {id: 'abc', temp: 20, status: 'online', tags: ['a']}),
+        'to be empty'
+      );
+    });
+
+    it('should report a type mismatch', function() {
+      expect(validate(schema, 'foo'), 'to equal', [
+        {path: '', keyword: 'type', message: 'should be object'}
+      ]);
+    });
+
+    it('should report missing required properties', function() {
+      expect(validate(schema, {id: 'abc'}), 'to satisfy', [
+        {path: '', keyword: 'required'}
+      ]);
+    });
+
+    it('should report additional properties', function() {
+      expect(validate(schema, {id: 'abc', temp: 1, foo: 1}), 'to satisfy', [
+        {path: '', keyword: 'additionalProperties'}
+      ]);
+    });
+
+    it('should report violations of nested values', function() {
+      expect(
+        validate(schema, {
+          id: 'ABC',
+          temp: 200,
+          status: 'busy',
+          tags: ['a', 1, 'c']
+        }),
+        'to satisfy',
+        [
+          {path: '/id', keyword: 'pattern'},
+          {path: '/temp', keyword: 'maximum'},
+          {path: '/status', keyword: 'enum'},
+          {path: '/tags', keyword: 'maxItems'},
+          {path: '/tags/1', keyword: 'type'}
+        ]
+      );
+    });
+
+    it('should distinguish integers from numbers', function() {
+      expect(validate({type: 'integer'}, 1.5), 'to satisfy', [
+        {keyword: 'type'}
+      ]);
+      expect(validate({type: 'number'}, 1.5), 'to be empty');
+    });
+  });
+
+  describe('ValidationError', function() {
+    it('should describe the violations', function() {
+      const err = new ValidationError(
+        [{path: '/temp', keyword: 'maximum', message: 'should be <= 125'}],
+        'foo/bar'
+      );
+      expect(err, 'to satisfy', {
+        name: 'ValidationError',
+        code: 'EVALIDATION',
+        topic: 'foo/bar',
+        message:
+          'message on "foo/bar" failed validation: /temp should be <= 125'
+      });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/* eslint-env mocha */
+'use strict';
+
+const expect = require('unexpected');
+const {
+  matches,
+  parsePattern,
+  parseShared,
+  parseSubscription,
+  extractParams,
+  validateFilter,
+  validateTopic
+} = require('../lib/topic');
+const {InvalidArgumentError, InvalidTopicError} = require('../lib/errors');
+
+describe('topic', function() {
+  describe('validateFilter()', function() {
+    it('should accept valid filters', function() {
+      [
+        'foo',
+        'foo/+/bar',
+        'foo/#',
+        '#',
+        '+',
+        'foo//bar',
+        '/',
+        'foo/*'
+      ].forEach(filter => {
+        expect(() => validateFilter(filter), 'not to throw');
+      });
+    });
+
+    it('should reject "#" before the last level', function() {
+      expect(
+        () => validateFilter('foo/#/bar'),
+        'to throw',
+        expect.it('to be an', InvalidTopicError).and('to satisfy', {
+          code: 'EINVALIDARG',
+          topic: 'foo/#/bar',
+          message:
+            'invalid topic filter "foo/#/bar": "#" must be the last level'
+        })
+      );
+    });
+
+    it('should reject wildcards sharing a level', function() {
+      expect(
+        () => validateFilter('foo/bar#'),
+        'to throw an',
+        InvalidTopicError
+      );
+      expect(
+        () => validateFilter('foo/+bar'),
+        'to throw an',
+        InvalidTopicError
+      );
+    });
+
+    it('should reject an empty filter', function() {
+      expect(() => validateFilter(''), 'to throw', /must not be empty/);
+    });
+
+    it('should reject null characters', function() {
+      expect(
+        () => validateFilter('foo\u0000'),
+        'to throw an',
+        InvalidTopicError
+      );
+    });
+
+    it('should reject a non-string', function() {
+      expect(() => validateFilter(42), 'to throw an', InvalidArgumentError);
+    });
+  });
+
+  describe('validateTopic()', function() {
+    it('should accept valid topic names', function() {
+      [
+        'foo',
+        'foo/bar',
+        'foo//bar',
+        '/',
+        '$SYS/foo',
+        'foo/*'
+      ].forEach(topic => {
+        expect(() => validateTopic(topic), 'not to throw');
+      });
+    });
+
+    it('should reject wildcards', function() {
+      expect(
+        () => validateTopic('foo/+'),
+        'to throw',
+        'invalid topic name "foo/+": must not contain wildcards'
+      );
+      expect(() => validateTopic('foo/#'), 'to throw an', InvalidTopicError);
+    });
+
+    it('should reject an empty topic name', function() {
+      expect(() => validateTopic(''), 'to throw an', InvalidTopicError);
+    });
+
+    it('should reject a topic name which is too long', function() {
+      expect(
+        () => validateTopic('a'.repeat(65536)),
+        'to throw',
+        /must not exceed 65535 bytes/
+      );
+    });
+  });
+
+  describe('matches()', function() {
+    it('should match an identical topic', function() {
+      expect(matches('foo/bar', 'foo/bar'), 'to be true');
+    });
+
+    it('should match single-level wildcards', function() {
+      expect(matches('foo/+/baz', 'foo/bar/baz'), 'to be true');
+      expect(matches('foo/+', 'foo/bar/baz'), 'to be false');
+    });
+
+    it('should match multi-level wildcards', function() {
+      expect(matches('foo/#', 'foo/bar/baz'), 'to be true');
+      expect(matches('foo/#', 'foo'), 'to be true');
+      expect(matches('foo/#', 'bar/baz'), 'to be false');
+    });
+
+    it('should not match "$" topics w/ a leading wildcard', function() {
+      expect(matches('#', '$SYS/foo'), 'to be false');
+      expect(matches('+/foo', '$SYS/foo'), 'to be false');
+      expect(matches('$SYS/#', '$SYS/foo'), 'to be true');
+    });
+  });
+
+  describe('parsePattern()', function() {
+    it('should leave a plain topic filter alone', function() {
+      expect(parsePattern('foo/+/bar/#'), 'to equal', {
+        filter: 'foo/+/bar/#',
+        params: []
+      });
+    });
+
+    it('should convert named single-level parameters to "+"', function() {
+      expect(parsePattern('devices/:deviceId/sensors/:sensor'), 'to equal', {
+        filter: 'devices/+/sensors/+',
+        params: [
+          {name: 'deviceId', index: 1, multi: false},
+          {name: 'sensor', index: 3, multi: false}
+        ]
+      });
+    });
+
+    it('should convert a named multi-level parameter to "#"', function() {
+      expect(parsePattern('logs/*rest'), 'to equal', {
+        filter: 'logs/#',
+        params: [{name: 'rest', index: 1, multi: true}]
+      });
+    });
+
+    it('should throw if a multi-level parameter is not last', function() {
+      expect(() => parsePattern('logs/*rest/foo'), 'to throw', /must be last/);
+    });
+  });
+
+  describe('parseShared()', function() {
+    it('should split a "$share" prefix', function() {
+      expect(parseShared('$share/workers/jobs/#'), 'to equal', {
+        prefix: '$share/workers/',
+        group: 'workers',
+        filter: 'jobs/#'
+      });
+    });
+
+    it('should split a "$queue" prefix', function() {
+      expect(parseShared('$queue/jobs/+'), 'to equal', {
+        prefix: '$queue/',
+        group: null,
+        filter: 'jobs/+'
+      });
+    });
+
+    it('should leave other topics alone', function() {
+      expect(parseShared('$SYS/foo'), 'to equal', {
+        prefix: '',
+        group: null,
+        filter: '$SYS/foo'
+      });
+    });
+
+    it('should throw on a malformed shared subscription', function() {
+      expect(() => parseShared('$share/workers'), 'to throw', TypeError);
+      expect(() => parseShared('$share/a+b/jobs'), 'to throw', TypeError);
+    });
+  });
+
+  describe('parseSubscription()', function() {
+    it('should separate the broker filter from the routing filter', function() {
+      expect(parseSubscription('$share/workers/jobs/:id'), 'to equal', {
+        topic: '$share/workers/jobs/+',
+        filter: 'jobs/+',
+        params: [{name: 'id', index: 1, multi: false}]
+      });
+    });
+  });
+
+  describe('extractParams()', function() {
+    it('should extract single-level parameters', function() {
+      const {params} = parsePattern('devices/:deviceId/sensors/:sensor');
+      expect(extractParams(params, 'devices/abc/sensors/temp'), 'to equal', {
+        deviceId: 'abc',
+        sensor: 'temp'
+      });
+    });
+
+    it('should extract a multi-level parameter', function() {
+      const {params} = parsePattern('logs/:level/*rest');
+      expect(extractParams(params, 'logs/warn/foo/bar'), 'to equal', {
+        level: 'warn',
+        rest: 'foo/bar'
+      });
+    });
+  });
+});